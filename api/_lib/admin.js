@@ -0,0 +1,180 @@
+// api/_lib/admin.js
+// Named admin accounts and their server-side sessions. The admin_session
+// cookie only holds a random id; the store keeps its SHA-256, so a copy of
+// the store hands out no live sessions. A session lasts ADMIN_SESSION_MS from
+// sign-in (cookie and server agree), gets a fresh id every ADMIN_ROTATE_MS
+// while in use, and is revoked server-side on logout or password change.
+import { randomBytes, createHash } from "node:crypto";
+import { getStore } from "./store.js";
+import { readCookie } from "./http.js";
+import { hashPassword, verifyPassword, verifyDummy } from "./passwords.js";
+
+const USERS    = "admin_users";
+const SESSIONS = "admin_sessions";
+
+export const ADMIN_COOKIE     = "admin_session";
+export const ADMIN_SESSION_MS = 1000 * 60 * 60 * 12;
+export const ADMIN_ROTATE_MS  = 1000 * 60 * 60;
+const ROTATE_GRACE_MS = 30 * 1000;      // old id keeps working for requests already in flight
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+
+// ----- Users -----
+export function normalizeUsername(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+function publicUser(u) {
+  if (!u) return null;
+  const { hash, ...rest } = u;
+  return rest;
+}
+
+export async function createAdmin(username, password) {
+  const name = normalizeUsername(username);
+  if (!USERNAME_RE.test(name)) throw new Error("Username: 2-32 characters, a-z 0-9 . _ -");
+  const hash = await hashPassword(password);
+  let exists = false;
+  const user = await getStore().update(USERS, name, (cur) => {
+    if (cur) {
+      exists = true;
+      return undefined;
+    }
+    return { id: name, hash, createdAt: new Date().toISOString(), passwordChangedAt: new Date().toISOString() };
+  });
+  if (exists) throw new Error(`Admin "${name}" already exists`);
+  return publicUser(user);
+}
+
+// Also signs the user out everywhere
+export async function setAdminPassword(username, password) {
+  const name = normalizeUsername(username);
+  const hash = await hashPassword(password);
+  const user = await getStore().update(USERS, name, (cur) =>
+    cur ? { ...cur, hash, passwordChangedAt: new Date().toISOString() } : undefined
+  );
+  if (!user) throw new Error(`No admin "${name}"`);
+  await revokeUserSessions(name);
+  return publicUser(user);
+}
+
+export async function deleteAdmin(username) {
+  const name = normalizeUsername(username);
+  await revokeUserSessions(name);
+  return getStore().delete(USERS, name);
+}
+
+export async function listAdmins() {
+  return (await getStore().list(USERS)).map(publicUser);
+}
+
+// The user for a correct username/password pair, else null
+export async function authenticate(username, password) {
+  const user = await getStore().get(USERS, normalizeUsername(username));
+  if (!user) return verifyDummy(password).then(() => null);
+  return (await verifyPassword(password, user.hash)) ? publicUser(user) : null;
+}
+
+// ----- Sessions -----
+function hashId(sid) {
+  return createHash("sha256").update(sid).digest("base64url");
+}
+
+function sessionCookie(sid, maxAgeMs) {
+  return [
+    `${ADMIN_COOKIE}=${sid}`,
+    "HttpOnly",
+    "Secure",
+    "SameSite=Lax",
+    "Path=/",
+    `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`
+  ].join("; ");
+}
+
+export function clearSessionCookie(res) {
+  res.setHeader("Set-Cookie", sessionCookie("", 0));
+}
+
+async function putSession(res, fields) {
+  const sid = randomBytes(32).toString("base64url");
+  const rec = { id: hashId(sid), revokedAt: null, replacedBy: null, rotatedAt: new Date().toISOString(), ...fields };
+  await getStore().put(SESSIONS, rec.id, rec);
+  res.setHeader("Set-Cookie", sessionCookie(sid, Date.parse(rec.expiresAt) - Date.now()));
+  return rec;
+}
+
+export async function createSession(res, user, meta = {}) {
+  await pruneSessions();
+  const now = Date.now();
+  return putSession(res, {
+    user: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ADMIN_SESSION_MS).toISOString(),
+    ip: meta.ip || null
+  });
+}
+
+// The live session behind the request's cookie, or null. Pass res to let it
+// rotate the id (the expiry stays that of the original sign-in).
+export async function getAdminSession(req, res = null) {
+  const sid = readCookie(req, ADMIN_COOKIE);
+  if (!sid) return null;
+  const store = getStore();
+  const now = Date.now();
+  const rec = await store.get(SESSIONS, hashId(sid));
+  if (!rec || Date.parse(rec.expiresAt) <= now) return null;
+  if (rec.revokedAt && Date.parse(rec.revokedAt) <= now) return null;
+  const user = await store.get(USERS, rec.user);
+  if (!user) return null;
+
+  if (res && !rec.replacedBy && now - Date.parse(rec.rotatedAt) >= ADMIN_ROTATE_MS) {
+    // Claim the rotation first so concurrent requests don't fork the session
+    let claimed = false;
+    await store.update(SESSIONS, rec.id, (cur) => {
+      if (!cur || cur.replacedBy) return undefined;
+      claimed = true;
+      return { ...cur, replacedBy: "pending", revokedAt: new Date(now + ROTATE_GRACE_MS).toISOString() };
+    });
+    if (claimed) {
+      const fresh = await putSession(res, { user: rec.user, createdAt: rec.createdAt, expiresAt: rec.expiresAt, ip: rec.ip });
+      await store.update(SESSIONS, rec.id, (cur) => (cur ? { ...cur, replacedBy: fresh.id } : undefined));
+      return { id: fresh.id, user: fresh.user, expiresAt: fresh.expiresAt };
+    }
+  }
+  return { id: rec.id, user: rec.user, expiresAt: rec.expiresAt };
+}
+
+// For admin-only routes: the session, or null once a 401 has been sent
+export async function requireAdmin(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+  const session = await getAdminSession(req, res);
+  if (!session) res.status(401).json({ error: "Admin sign-in required" });
+  return session;
+}
+
+export async function revokeSession(req) {
+  const sid = readCookie(req, ADMIN_COOKIE);
+  if (!sid) return false;
+  const rec = await getStore().update(SESSIONS, hashId(sid), (cur) =>
+    cur ? { ...cur, revokedAt: new Date().toISOString() } : undefined
+  );
+  return !!rec;
+}
+
+export async function revokeUserSessions(username) {
+  const store = getStore();
+  const now = new Date().toISOString();
+  for (const s of await store.list(SESSIONS)) {
+    if (s.user === username) await store.update(SESSIONS, s.id, (cur) => (cur ? { ...cur, revokedAt: now } : undefined));
+  }
+}
+
+// Drops sessions that can't be used any more
+async function pruneSessions() {
+  const store = getStore();
+  const now = Date.now();
+  for (const s of await store.list(SESSIONS)) {
+    const dead = Date.parse(s.expiresAt) <= now || (s.revokedAt && Date.parse(s.revokedAt) <= now);
+    if (dead) await store.delete(SESSIONS, s.id);
+  }
+}
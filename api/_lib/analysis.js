@@ -0,0 +1,110 @@
+// api/_lib/analysis.js
+// Server side of the live analysis protocol (/api/analyze). Each stream keeps
+// a BeatDetector (the one the browser runs) fed with its chunks in sequence
+// order and answers with the current estimate. Streams live in this
+// instance's memory only: after a cold start, or on another instance, the
+// client is told to restart at seq 0, which always begins a fresh stream.
+import { BeatDetector, classifyBpm, frameSizeFor } from "../../public/babybeat-detector.js";
+
+export const PROTOCOL_VERSION = 1;
+
+export const MIN_SAMPLE_RATE = 2000;
+export const MAX_SAMPLE_RATE = 48000;
+export const MAX_CHUNK_SEC   = 10;        // longer chunks are refused (413)
+const MAX_STREAMS     = 200;              // more at once → 429 for new streams
+const STREAM_IDLE_MS  = 60 * 1000;        // dropped after this long without a chunk
+const MIN_INTERVAL_MS = 250;              // faster senders get 429
+const WARMUP_SEC      = 3;                // no estimate before this much audio
+
+const streams = new Map();                // key → stream
+
+// chunk: { seq, sampleRate, samples (Float32Array) }
+// → { status: "ok", ack, duplicate, result }
+//   | { status: "restart", expected }      sequence gap or unknown stream (409)
+//   | { status: "busy", retryAfterMs }     too many streams / too fast (429)
+export function analyzeChunk(key, chunk, now = Date.now()) {
+  evictIdle(now);
+  const { seq, sampleRate, samples } = chunk;
+  let stream = streams.get(key);
+
+  if (seq === 0) {
+    // Restarts count against the stream's rate like any chunk (and the new
+    // stream keeps lastAt), or resending seq 0 would dodge MIN_INTERVAL_MS
+    if (stream && now - stream.lastAt < MIN_INTERVAL_MS) return tooSoon(stream, now);
+    if (!stream && streams.size >= MAX_STREAMS) return { status: "busy", retryAfterMs: 5000 };
+    stream = newStream(sampleRate, stream ? stream.lastAt : now);
+    streams.set(key, stream);
+  } else if (!stream || stream.sampleRate !== sampleRate) {
+    return { status: "restart", expected: 0 };
+  } else if (seq < stream.nextSeq) {
+    // A retry of a chunk that was applied but whose answer got lost
+    return { status: "ok", ack: stream.nextSeq - 1, duplicate: true, result: resultOf(stream) };
+  } else if (seq > stream.nextSeq) {
+    return { status: "restart", expected: stream.nextSeq };
+  } else if (now - stream.lastAt < MIN_INTERVAL_MS) {
+    return tooSoon(stream, now);
+  }
+
+  feed(stream, samples);
+  stream.nextSeq = seq + 1;
+  stream.lastAt = now;
+  return { status: "ok", ack: seq, duplicate: false, result: resultOf(stream) };
+}
+
+function tooSoon(stream, now) {
+  return { status: "busy", retryAfterMs: MIN_INTERVAL_MS - (now - stream.lastAt) };
+}
+
+export function endStream(key) {
+  return streams.delete(key);
+}
+
+function newStream(sampleRate, now) {
+  return {
+    sampleRate,
+    detector: new BeatDetector({ sampleRate, mode: "dual" }),
+    // Same frame duration as the browser's detector step at any rate
+    frameSize: frameSizeFor(sampleRate),
+    carry: new Float32Array(0),
+    samplesIn: 0,
+    nextSeq: 0,
+    lastAt: now
+  };
+}
+
+// Timestamps are stream time (samples so far), like analyzeSamples
+function feed(stream, samples) {
+  const data = new Float32Array(stream.carry.length + samples.length);
+  data.set(stream.carry, 0);
+  data.set(samples, stream.carry.length);
+  let i = 0;
+  for (; i + stream.frameSize <= data.length; i += stream.frameSize) {
+    stream.samplesIn += stream.frameSize;
+    stream.detector.process(data.subarray(i, i + stream.frameSize), (stream.samplesIn / stream.sampleRate) * 1000);
+  }
+  stream.carry = data.slice(i);
+}
+
+// → { bpm, confidence, label, quality, fetal, maternal, analyzedSec }
+// bpm is null until the estimate is trustworthy; label is the range
+// ("fetal" | "maternal" | "other") or "uncertain"
+function resultOf(stream) {
+  const d = stream.detector;
+  const analyzedSec = stream.samplesIn / stream.sampleRate;
+  const ok = analyzedSec >= WARMUP_SEC && d.quality.ok && d.bpm > 0;
+  return {
+    bpm: ok ? Math.round(d.bpm) : null,
+    confidence: +d.confidence.toFixed(2),
+    label: ok ? classifyBpm(d.bpm) : "uncertain",
+    quality: +d.quality.score.toFixed(2),
+    fetal: ok && d.fetal.bpm ? Math.round(d.fetal.bpm) : null,
+    maternal: ok && d.maternal.bpm ? Math.round(d.maternal.bpm) : null,
+    analyzedSec: +analyzedSec.toFixed(2)
+  };
+}
+
+function evictIdle(now) {
+  for (const [key, s] of streams) {
+    if (now - s.lastAt > STREAM_IDLE_MS) streams.delete(key);
+  }
+}
@@ -0,0 +1,70 @@
+// api/_lib/core-release.js
+// Versions of the detector core. The working copy is core/babybeat-core.js,
+// outside public/ so it can't be fetched statically. A version is the hash of
+// the file's content. `node scripts/release-core.js` freezes the working copy
+// as core/releases/<version>.js and makes it current in
+// core/releases/manifest.json; every frozen version stays servable, so pages
+// opened before a rollout still load the core their signed URL names.
+// Without a manifest the working copy is current.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+export const CORE_DIR     = path.join(process.cwd(), "core");
+export const RELEASES_DIR = path.join(CORE_DIR, "releases");
+export const WORKING_COPY = path.join(CORE_DIR, "babybeat-core.js");
+
+const VERSION_RE = /^[0-9a-f]{16}$/;
+const frozen = new Map();       // version → release (immutable, safe to keep)
+
+export function versionOf(code) {
+  return createHash("sha256").update(code).digest("hex").slice(0, 16);
+}
+
+// Subresource Integrity value the shell can check the bytes against
+export function integrityOf(code) {
+  return "sha384-" + createHash("sha384").update(code).digest("base64");
+}
+
+function release(code) {
+  return { version: versionOf(code), integrity: integrityOf(code), code };
+}
+
+async function readWorkingCopy() {
+  return release(await fs.readFile(WORKING_COPY, "utf8"));
+}
+
+async function readManifest() {
+  try {
+    return JSON.parse(await fs.readFile(path.join(RELEASES_DIR, "manifest.json"), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// → { version, integrity, code }
+export async function currentRelease() {
+  const manifest = await readManifest();
+  if (manifest && manifest.current) {
+    const r = await loadRelease(manifest.current);
+    if (r) return r;
+  }
+  return readWorkingCopy();
+}
+
+// A frozen version, or the working copy if it has that version; null if unknown
+export async function loadRelease(version) {
+  if (!VERSION_RE.test(version || "")) return null;
+  if (frozen.has(version)) return frozen.get(version);
+  try {
+    const r = release(await fs.readFile(path.join(RELEASES_DIR, `${version}.js`), "utf8"));
+    if (r.version !== version) return null;
+    frozen.set(version, r);
+    return r;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const working = await readWorkingCopy();
+  return working.version === version ? working : null;
+}
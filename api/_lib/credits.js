@@ -0,0 +1,105 @@
+// api/_lib/credits.js
+// Per-customer balance of listening sessions. Every paid checkout adds a
+// "lot" to its customer: a number of credits, or an unlimited pass until a
+// date. Starting a listening session draws from the lots (an active pass
+// first, then the oldest credits) and remembers which payment paid for it,
+// so refunding that payment also ends the sessions it paid for.
+// A customer is the random id in the bb_customer cookie, sent to Stripe as
+// the Checkout Session's client_reference_id.
+import { randomBytes } from "node:crypto";
+import { getStore } from "./store.js";
+import { getProduct, DEFAULT_PRODUCT } from "./products.js";
+
+const CUSTOMERS = "customers";
+
+export function newCustomerId() {
+  return randomBytes(24).toString("base64url");
+}
+
+// Payments from before customers existed count as their own customer
+export function customerOf(payment) {
+  return payment.customer || payment.id;
+}
+
+// Adds the payment's lot once; later calls change nothing
+export async function grantCredits(payment) {
+  const product = getProduct(payment.product || DEFAULT_PRODUCT) || getProduct(DEFAULT_PRODUCT);
+  const id = customerOf(payment);
+  const now = Date.now();
+  return getStore().update(CUSTOMERS, id, (cur) => {
+    const base = cur || { id, createdAt: new Date(now).toISOString(), lots: [] };
+    if (base.lots.some((l) => l.payment === payment.id)) return cur ? undefined : base;
+    return {
+      ...base,
+      email: payment.email ?? base.email ?? null,
+      lots: [...base.lots, {
+        payment: payment.id,
+        product: product.id,
+        credits: product.credits,
+        passUntil: product.passDays ? new Date(now + product.passDays * 86400000).toISOString() : null,
+        grantedAt: new Date(now).toISOString(),
+        refunded: false,
+        opened: null
+      }]
+    };
+  });
+}
+
+// A fully refunded payment takes its unused credits (or its pass) with it
+export async function revokeCredits(payment) {
+  return getStore().update(CUSTOMERS, customerOf(payment), (cur) => {
+    if (!cur || !cur.lots.some((l) => l.payment === payment.id && !l.refunded)) return undefined;
+    return {
+      ...cur,
+      lots: cur.lots.map((l) => (l.payment === payment.id ? { ...l, credits: 0, passUntil: null, refunded: true } : l))
+    };
+  });
+}
+
+export function getCustomer(id) {
+  return getStore().get(CUSTOMERS, id);
+}
+
+// → { credits, passUntil } (passUntil only while a pass is running)
+export function balanceOf(customer, now = Date.now()) {
+  let credits = 0;
+  let passUntil = null;
+  for (const l of customer?.lots || []) {
+    if (l.refunded) continue;
+    credits += l.credits;
+    if (passActive(l, now) && (!passUntil || l.passUntil > passUntil)) passUntil = l.passUntil;
+  }
+  return { credits, passUntil };
+}
+
+// Takes one session from the balance for a new access token.
+// opts.payment: draw from that payment's lot, once; a repeat call returns the
+// token that opened it instead of drawing again (verify-session retries).
+// → { ok, token, payment } or { ok: false, reason: "no-credits" }
+export async function drawSession(customerId, token, opts = {}) {
+  const now = Date.now();
+  let result = { ok: false, reason: "no-credits" };
+  await getStore().update(CUSTOMERS, customerId, (cur) => {
+    if (!cur) return undefined;
+    const lots = cur.lots.map((l) => ({ ...l }));
+    const own = opts.payment ? lots.find((l) => l.payment === opts.payment && !l.refunded) : null;
+    if (own?.opened) {
+      result = { ok: true, token: own.opened, payment: own.payment, repeat: true };
+      return undefined;
+    }
+    const lot = (own && (passActive(own, now) || own.credits > 0) ? own : null)
+      || lots.find((l) => !l.refunded && passActive(l, now))
+      || lots.find((l) => !l.refunded && l.credits > 0);
+    if (!lot) return undefined;
+
+    if (!passActive(lot, now)) lot.credits -= 1;
+    if (own) own.opened = token;
+    result = { ok: true, token, payment: lot.payment };
+    return { ...cur, lots, lastDrawAt: new Date(now).toISOString() };
+  });
+  return result;
+}
+
+function passActive(lot, now) {
+  return !!lot.passUntil && Date.parse(lot.passUntil) > now;
+}
@@ -0,0 +1,173 @@
+// api/_lib/entitlements.js
+// Access tokens, one per listening session, each drawn from a customer's
+// balance of paid sessions (credits.js). A token lives for
+// ACCESS_TTL_MINUTES from minting and opens the detector ACCESS_MAX_USES
+// times (every signed core URL from /api/core-url is one use). It also dies
+// with the payment it was drawn from: a refund recorded by the webhook revokes
+// it on the next check.
+// Admins can also revoke or extend tokens and mint complimentary ones.
+import { randomBytes } from "node:crypto";
+import { getStore } from "./store.js";
+import { getPayment, claimEntitlement, hasAccess } from "./payments.js";
+import { customerOf, drawSession } from "./credits.js";
+
+const ENTITLEMENTS = "entitlements";
+
+export const ACCESS_TTL_MS   = envInt("ACCESS_TTL_MINUTES", 60) * 60 * 1000;
+export const ACCESS_MAX_USES = envInt("ACCESS_MAX_USES", 5);
+
+// The token that opens the detector right after checkout. It spends the
+// purchase's first session; asking again returns the same token.
+export async function issueForPayment(payment) {
+  const token = randomBytes(24).toString("base64url");
+  const customer = customerOf(payment);
+  const draw = await drawSession(customer, token, { payment: payment.id });
+  if (!draw.ok) throw Object.assign(new Error("No sessions left"), { reason: draw.reason });
+  if (draw.token !== token) {
+    const existing = await getStore().get(ENTITLEMENTS, draw.token);
+    if (existing) return existing;
+  }
+  await claimEntitlement(payment.id, draw.token);
+  return mint(draw.token, { payment: draw.payment, customer });
+}
+
+// A new listening session from the customer's balance
+// → { ok, entitlement } or { ok: false, reason: "no-credits" }
+export async function startSession(customerId) {
+  const token = randomBytes(24).toString("base64url");
+  const draw = await drawSession(customerId, token);
+  if (!draw.ok) return draw;
+  return { ok: true, entitlement: await mint(token, { payment: draw.payment, customer: customerId }) };
+}
+
+function mint(token, fields) {
+  const now = Date.now();
+  return getStore().put(ENTITLEMENTS, token, {
+    id: token,
+    ...fields,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ACCESS_TTL_MS).toISOString(),
+    maxUses: ACCESS_MAX_USES,
+    uses: 0
+  });
+}
+
+// Read-only check: { ok, reason?, entitlement? }
+export async function checkAccess(token) {
+  if (typeof token !== "string" || !token) return { ok: false, reason: "missing" };
+  const ent = await getStore().get(ENTITLEMENTS, token);
+  const reason = await invalidReason(ent);
+  return reason ? { ok: false, reason, entitlement: ent } : { ok: true, entitlement: ent };
+}
+
+// Like checkAccess, but spends one use; the count only moves if the token is valid
+export async function consumeAccess(token) {
+  const status = await checkAccess(token);
+  if (!status.ok) return status;
+  let reason = null;
+  const ent = await getStore().update(ENTITLEMENTS, token, (cur) => {
+    if (!cur || cur.uses >= cur.maxUses) {
+      reason = "used-up";
+      return undefined;
+    }
+    return { ...cur, uses: cur.uses + 1, lastUsedAt: new Date().toISOString() };
+  });
+  return reason ? { ok: false, reason, entitlement: ent } : { ok: true, entitlement: ent };
+}
+
+// What the client may know about a token
+export function describeEntitlement(ent, now = Date.now()) {
+  if (!ent) return null;
+  const expires = Date.parse(ent.expiresAt);
+  return {
+    expiresAt: ent.expiresAt,
+    remainingMs: Math.max(0, expires - now),
+    maxUses: ent.maxUses,
+    usesLeft: Math.max(0, ent.maxUses - ent.uses)
+  };
+}
+
+// ----- Admin -----
+// Changes made by admins are kept in the record's log with who made them
+
+export function getEntitlement(token) {
+  return getStore().get(ENTITLEMENTS, token);
+}
+
+export function listEntitlements() {
+  return getStore().list(ENTITLEMENTS);
+}
+
+// Everything an admin sees about a token; status is "active" or why it no
+// longer opens the detector
+export async function adminView(ent) {
+  return {
+    id: ent.id,
+    payment: ent.payment,
+    complimentary: !!ent.complimentary,
+    email: ent.email ?? null,
+    note: ent.note ?? null,
+    createdAt: ent.createdAt,
+    lastUsedAt: ent.lastUsedAt ?? null,
+    revokedAt: ent.revokedAt ?? null,
+    uses: ent.uses,
+    status: (await invalidReason(ent)) || "active",
+    ...describeEntitlement(ent),
+    log: ent.log || []
+  };
+}
+
+export async function revokeEntitlement(token, by) {
+  return getStore().update(ENTITLEMENTS, token, (cur) =>
+    cur ? withLog({ ...cur, revokedAt: cur.revokedAt || new Date().toISOString() }, by, { action: "revoke" }) : undefined
+  );
+}
+
+// Adds time (counted from now if the token already expired) and/or uses
+export async function extendEntitlement(token, { minutes = 0, uses = 0 }, by) {
+  const now = Date.now();
+  return getStore().update(ENTITLEMENTS, token, (cur) => {
+    if (!cur) return undefined;
+    const from = Math.max(now, Date.parse(cur.expiresAt));
+    return withLog({
+      ...cur,
+      expiresAt: minutes > 0 ? new Date(from + minutes * 60 * 1000).toISOString() : cur.expiresAt,
+      maxUses: cur.maxUses + Math.max(0, uses)
+    }, by, { action: "extend", minutes, uses });
+  });
+}
+
+// Access without a payment behind it (support cases, demos)
+export async function issueComplimentary({ email = null, note = null, minutes, uses } = {}, by) {
+  const token = randomBytes(24).toString("base64url");
+  const now = Date.now();
+  return getStore().put(ENTITLEMENTS, token, withLog({
+    id: token,
+    payment: null,
+    complimentary: true,
+    email,
+    note,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + (minutes > 0 ? minutes * 60 * 1000 : ACCESS_TTL_MS)).toISOString(),
+    maxUses: uses > 0 ? uses : ACCESS_MAX_USES,
+    uses: 0
+  }, by, { action: "comp" }));
+}
+
+function withLog(ent, by, entry) {
+  return { ...ent, log: [...(ent.log || []), { at: new Date().toISOString(), by, ...entry }] };
+}
+
+async function invalidReason(ent) {
+  if (!ent) return "unknown";
+  if (ent.revokedAt) return "revoked";
+  if (Date.parse(ent.expiresAt) <= Date.now()) return "expired";
+  if (ent.uses >= ent.maxUses) return "used-up";
+  if (ent.payment && !hasAccess(await getPayment(ent.payment))) return "revoked";
+  return null;
+}
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] || "", 10);
+  return n > 0 ? n : fallback;
+}
@@ -0,0 +1,205 @@
+// api/_lib/fake-provider.js
+// Offline stand-in for Stripe (PAYMENT_PROVIDER=fake), for working on the
+// purchase → detector flow without network access or keys. Checkouts live in
+// the store; /api/fake-checkout is the "hosted" page where the buyer pays,
+// cancels or lets it expire, and where a paid checkout can be refunded. Each
+// outcome is delivered like a real webhook: a signed POST to FAKE_WEBHOOK_URL
+// (this deployment's /api/payment-webhook) with a Stripe-shaped event.
+// Only loads with BABYBEAT_ALLOW_FAKE_PAYMENTS=1 outside production.
+//   FAKE_WEBHOOK_URL     where events go (required; never taken from a request)
+//   FAKE_WEBHOOK_SECRET  signing secret (required)
+//   FAKE_PROMO_CODES     "CODE:percent,…" (default "TEST10:10,FREE:100")
+import { randomBytes, createHmac, timingSafeEqual } from "node:crypto";
+import { getStore } from "./store.js";
+import { providerError } from "./payment-provider.js";
+
+const CHECKOUTS = "fake_checkouts";
+
+const AMOUNTS = { single: 190, bundle5: 790, pass30: 1490 };   // cents
+const CURRENCY = "usd";
+const EXPIRES_MS = 30 * 60 * 1000;
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+// No default: a known secret would let anyone sign "paid" events
+function secret() {
+  const value = process.env.FAKE_WEBHOOK_SECRET;
+  if (!value) throw new Error("Missing env var: FAKE_WEBHOOK_SECRET");
+  return value;
+}
+
+function promoCodes() {
+  const codes = new Map();
+  for (const part of (process.env.FAKE_PROMO_CODES || "TEST10:10,FREE:100").split(",")) {
+    const [code, pct] = part.split(":").map((s) => s.trim());
+    if (code && pct > 0) codes.set(code.toUpperCase(), Math.min(100, Number(pct)));
+  }
+  return codes;
+}
+
+function amountOf(product) {
+  return AMOUNTS[product.id] ?? 100 * Math.max(1, product.credits);
+}
+
+const id = (prefix) => `${prefix}_fake_${randomBytes(12).toString("base64url")}`;
+
+// Same layout as Stripe's header: t=<unix seconds>,v1=<hex HMAC of "t.body">
+export function signPayload(body, t = Math.floor(Date.now() / 1000)) {
+  const v1 = createHmac("sha256", secret()).update(`${t}.${body}`).digest("hex");
+  return `t=${t},v1=${v1}`;
+}
+
+export function getFakeCheckout(checkoutId) {
+  return getStore().get(CHECKOUTS, checkoutId);
+}
+
+// ----- Buyer actions (from /api/fake-checkout) -----
+// Each returns { checkout, redirect, delivered }
+
+export async function payCheckout(checkoutId, { email }) {
+  const open = await getFakeCheckout(checkoutId);
+  if (open?.status === "open" && open.expires_at * 1000 <= Date.now()) {
+    await expireCheckout(checkoutId);
+    throw providerError(409, "wrong_state", "Checkout is expired");
+  }
+  const checkout = await transition(checkoutId, "open", (cur) => ({
+    ...cur,
+    status: "complete",
+    payment_status: "paid",
+    payment_intent: id("pi"),
+    customer_details: { email: email || "buyer@example.com" }
+  }));
+  const delivered = await deliver("checkout.session.completed", checkout);
+  return { checkout, delivered, redirect: checkout.success_url.replace("{CHECKOUT_SESSION_ID}", checkout.id) };
+}
+
+// Like closing Stripe's page: nothing is recorded, the checkout stays open
+export async function cancelCheckout(checkoutId) {
+  const checkout = await getFakeCheckout(checkoutId);
+  if (!checkout) throw providerError(404, "not_found", "No such checkout");
+  return { checkout, delivered: false, redirect: checkout.cancel_url };
+}
+
+export async function expireCheckout(checkoutId) {
+  const checkout = await transition(checkoutId, "open", (cur) => ({ ...cur, status: "expired" }));
+  const delivered = await deliver("checkout.session.expired", checkout);
+  return { checkout, delivered, redirect: checkout.cancel_url };
+}
+
+export async function refundCheckout(checkoutId) {
+  const checkout = await transition(checkoutId, "complete", (cur) =>
+    cur.refunded ? undefined : { ...cur, refunded: true }
+  );
+  const charge = {
+    id: id("ch"),
+    object: "charge",
+    payment_intent: checkout.payment_intent,
+    amount: checkout.amount_total,
+    amount_refunded: checkout.amount_total,
+    refunded: true
+  };
+  const delivered = await deliver("charge.refunded", checkout, charge);
+  return { checkout, delivered, redirect: null };
+}
+
+async function transition(checkoutId, from, change) {
+  let wrong = null;
+  const checkout = await getStore().update(CHECKOUTS, checkoutId, (cur) => {
+    if (!cur) return undefined;
+    if (cur.status !== from) {
+      wrong = cur.status;
+      return undefined;
+    }
+    return change(cur);
+  });
+  if (!checkout) throw providerError(404, "not_found", "No such checkout");
+  if (wrong) throw providerError(409, "wrong_state", `Checkout is ${wrong}`);
+  return checkout;
+}
+
+// A failed delivery is logged, not thrown: verify-session still fetches the
+// checkout itself, as it would when a real webhook is late
+async function deliver(type, checkout, object = checkout) {
+  const event = { id: id("evt"), object: "event", type, created: Math.floor(Date.now() / 1000), data: { object } };
+  const body = JSON.stringify(event);
+  try {
+    const r = await fetch(process.env.FAKE_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "fake-signature": signPayload(body) },
+      body
+    });
+    if (!r.ok) console.warn(`[fake] webhook ${type} answered ${r.status}`);
+    return r.ok;
+  } catch (err) {
+    console.warn(`[fake] webhook ${type} not delivered:`, err?.message);
+    return false;
+  }
+}
+
+export default {
+  name: "fake",
+
+  missingConfig({ webhook } = {}) {
+    const need = ["FAKE_WEBHOOK_SECRET"];
+    if (!webhook) need.push("FAKE_WEBHOOK_URL");     // checkouts deliver events there
+    return need.filter((k) => !process.env[k]);
+  },
+
+  clientConfig() {
+    return {};
+  },
+
+  sells() {
+    return true;
+  },
+
+  async priceOf(product) {
+    return { amount: amountOf(product), currency: CURRENCY };
+  },
+
+  async createCheckout({ product, customer, promo, origin }) {
+    let amount = amountOf(product);
+    if (promo) {
+      const pct = promoCodes().get(promo.toUpperCase());
+      if (!pct) throw providerError(400, "promo_invalid", "Unknown or expired promo code");
+      amount = Math.round(amount * (1 - pct / 100));
+    }
+    const checkoutId = id("cs");
+    const now = Date.now();
+    await getStore().put(CHECKOUTS, checkoutId, {
+      id: checkoutId,
+      object: "checkout.session",
+      mode: "payment",
+      status: "open",
+      payment_status: "unpaid",
+      amount_total: amount,
+      currency: CURRENCY,
+      client_reference_id: customer,
+      metadata: { product: product.id },
+      payment_intent: null,
+      customer_details: null,
+      created: Math.floor(now / 1000),
+      expires_at: Math.floor((now + EXPIRES_MS) / 1000),
+      success_url: `${origin}/?success=true&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${origin}/?canceled=true`
+    });
+    return { id: checkoutId, url: `${origin}/api/fake-checkout?id=${encodeURIComponent(checkoutId)}` };
+  },
+
+  async getCheckout(checkoutId) {
+    const checkout = await getFakeCheckout(checkoutId);
+    if (!checkout) throw providerError(404, "not_found", "No such checkout");
+    return checkout;
+  },
+
+  async parseWebhook(rawBody, headers) {
+    const parts = Object.fromEntries(
+      String(headers["fake-signature"] || "").split(",").map((kv) => kv.split("=", 2))
+    );
+    const t = parseInt(parts.t, 10);
+    if (!t || Math.abs(Date.now() / 1000 - t) > SIGNATURE_TOLERANCE_SEC) throw new Error("Stale or missing timestamp");
+    const expected = Buffer.from(signPayload(rawBody.toString("utf8"), t).split("v1=")[1], "hex");
+    const actual = Buffer.from(parts.v1 || "", "hex");
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) throw new Error("Bad signature");
+    return JSON.parse(rawBody.toString("utf8"));
+  }
+};
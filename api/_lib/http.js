@@ -0,0 +1,58 @@
+// api/_lib/http.js
+// Small request helpers shared by the API routes.
+
+// Holds the access token after checkout, so page loads can be checked server-side
+export const ACCESS_COOKIE = "bb_access";
+// Who bought: the key of the credit balance (credits.js), kept for a year
+export const CUSTOMER_COOKIE = "bb_customer";
+const CUSTOMER_MAX_AGE_SEC = 60 * 60 * 24 * 365;
+
+// The exact bytes of the request body (needed for webhook signatures, which
+// break as soon as the JSON is parsed and re-serialized)
+export async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+  const chunks = [];
+  for await (const chunk of req) chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks);
+}
+
+export function readCookie(req, name) {
+  const cookie = req.headers.cookie || "";
+  const match = cookie.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Access token from a Bearer header, ?token= (module imports can't send
+// headers) or the access cookie
+export function readToken(req) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  const q = req.query?.token;
+  if (typeof q === "string" && q) return q;
+  return readCookie(req, ACCESS_COOKIE);
+}
+
+export function accessCookie(token, maxAgeSec) {
+  return cookie(ACCESS_COOKIE, token, maxAgeSec);
+}
+
+export function customerCookie(id) {
+  return cookie(CUSTOMER_COOKIE, id, CUSTOMER_MAX_AGE_SEC);
+}
+
+function cookie(name, value, maxAgeSec) {
+  return [
+    `${name}=${encodeURIComponent(value)}`,
+    "HttpOnly",
+    "Secure",
+    "SameSite=Lax",
+    "Path=/",
+    `Max-Age=${Math.max(0, Math.floor(maxAgeSec))}`
+  ].join("; ");
+}
+
+export function redirect(res, location) {
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Location", location);
+  return res.status(302).end();
+}
@@ -0,0 +1,44 @@
+// api/_lib/passwords.js
+// scrypt password hashes, stored as "scrypt$N$r$p$salt$key" (base64 parts)
+// so the cost can be raised later without breaking existing hashes.
+import { scrypt, randomBytes, timingSafeEqual } from "node:crypto";
+
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LEN  = 64;
+const SALT_LEN = 16;
+
+export const MIN_PASSWORD_LENGTH = 12;
+
+function derive(password, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    scrypt(password.normalize("NFKC"), salt, KEY_LEN, { N, r, p, maxmem: 256 * N * r }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+export async function hashPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = randomBytes(SALT_LEN);
+  const key = await derive(password, salt, COST);
+  return ["scrypt", COST.N, COST.r, COST.p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, key] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || typeof password !== "string") return false;
+  const expected = Buffer.from(key, "base64");
+  const actual = await derive(password, Buffer.from(salt, "base64"), { N: +N, r: +r, p: +p });
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Burns the same time as a real check, so unknown usernames can't be told
+// apart from wrong passwords by timing
+let dummy = null;
+export async function verifyDummy(password) {
+  dummy ||= await hashPassword("x".repeat(MIN_PASSWORD_LENGTH));
+  await verifyPassword(String(password || ""), dummy);
+  return false;
+}
@@ -0,0 +1,88 @@
+// api/_lib/payment-provider.js
+// The one place the payment flow meets a payment service. PAYMENT_PROVIDER
+// picks the implementation: "stripe" (default) or "fake" (offline, see
+// fake-provider.js; also needs BABYBEAT_ALLOW_FAKE_PAYMENTS=1). Checkout
+// sessions and webhook events use Stripe's shapes (the fields payments.js
+// reads), whichever provider produced them.
+//
+// A provider has:
+//   name
+//   missingConfig({ product?, webhook? }) → names of env vars it still needs
+//   clientConfig()                 → public settings for the browser (welcome.js); throws if unset
+//   sells(product)                 → whether the tier can be bought
+//   priceOf(product)               → { amount, currency } | null
+//   createCheckout({ product, customer, promo, origin }) → { id, url }
+//   getCheckout(id)                → checkout session
+//   parseWebhook(rawBody, headers) → verified event; throws if the signature is bad
+// Errors meant for the buyer carry .status and .code (e.g. 400 / "promo_invalid").
+import { readRawBody } from "./http.js";
+import { applyPaymentEvent } from "./payments.js";
+
+const PROVIDERS = {
+  stripe: () => import("./stripe-provider.js"),
+  fake:   () => import("./fake-provider.js")
+};
+
+export function providerName() {
+  return process.env.PAYMENT_PROVIDER || "stripe";
+}
+
+// The fake provider grants access without payment: it has to be switched on
+// explicitly, and never outside development and preview deployments
+export function fakePaymentsAllowed() {
+  return process.env.BABYBEAT_ALLOW_FAKE_PAYMENTS === "1" && process.env.VERCEL_ENV !== "production";
+}
+
+export async function getProvider(name = providerName()) {
+  const load = PROVIDERS[name];
+  if (!load) throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  if (name === "fake" && !fakePaymentsAllowed()) {
+    throw new Error("The fake payment provider is off (needs BABYBEAT_ALLOW_FAKE_PAYMENTS=1, never in production)");
+  }
+  return (await load()).default;
+}
+
+export function providerError(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// Route handler for a provider's webhook: verify, then record. Replayed
+// events are acknowledged without effect; a failure to store answers 500 so
+// the provider retries. The route must export config with bodyParser off.
+export function webhookHandler(name) {
+  return async function handler(req, res) {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "Method Not Allowed" });
+    }
+
+    let provider;
+    try {
+      provider = await getProvider(name);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    const missing = provider.missingConfig({ webhook: true });
+    if (missing.length) {
+      return res
+        .status(500)
+        .json({ error: `Missing env var(s): ${missing.join(", ")}` });
+    }
+
+    let event;
+    try {
+      event = await provider.parseWebhook(await readRawBody(req), req.headers);
+    } catch (err) {
+      console.warn(`[webhook:${provider.name}] rejected:`, err?.message);
+      return res.status(400).json({ error: "Invalid signature" });
+    }
+
+    try {
+      const result = await applyPaymentEvent(event);
+      return res.status(200).json({ received: true, ...result });
+    } catch (err) {
+      console.error(`[webhook:${provider.name}] failed:`, event.type, event.id, err?.message);
+      return res.status(500).json({ error: "Could not record event" });
+    }
+  };
+}
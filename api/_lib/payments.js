@@ -0,0 +1,184 @@
+// api/_lib/payments.js
+// Payment records, one per Checkout Session, written from payment webhooks (and
+// from verify-session when the webhook hasn't arrived yet). Access is decided
+// from these records alone: a full refund or an expired checkout means no
+// access, whatever the client's return URL says. A paid record credits its
+// customer's balance (credits.js) once.
+import { getStore } from "./store.js";
+import { grantCredits, revokeCredits } from "./credits.js";
+
+const PAYMENTS = "payments";
+const EVENTS   = "stripe_events";       // processed event ids (idempotency)
+const INTENTS  = "payment_intents";     // payment_intent id → session id (+ refund seen so far)
+
+// Later states win, so out-of-order deliveries can't undo each other:
+// a late "completed" never reverses a refund, a late "expired" never a payment
+const RANK = { pending: 0, expired: 1, paid: 2, refunded: 3 };
+
+export const HANDLED_EVENTS = ["checkout.session.completed", "checkout.session.expired", "charge.refunded"];
+
+// Applies a verified, Stripe-shaped event (payment-provider.js) once. Replays of the same event id are
+// reported as duplicates and change nothing.
+export async function applyPaymentEvent(event) {
+  const store = getStore();
+  if (!HANDLED_EVENTS.includes(event.type)) return { ignored: true };
+  if (await store.get(EVENTS, event.id)) return { duplicate: true };
+
+  const record = event.type === "charge.refunded"
+    ? await recordRefund(event.data.object, event.id)
+    : await recordCheckoutSession(event.data.object, event.id, event.created);
+
+  // Marked only after the record is written: if that failed, Stripe retries
+  await store.put(EVENTS, event.id, {
+    id: event.id,
+    type: event.type,
+    payment: record ? record.id : null,
+    processedAt: new Date().toISOString()
+  });
+  return { payment: record ? record.id : null, status: record ? record.status : null };
+}
+
+// eventAt: the provider's event time (unix seconds), when it came as an event
+export async function recordCheckoutSession(session, source, eventAt = null) {
+  const store = getStore();
+  const intent = intentId(session.payment_intent);
+  let record = await store.update(PAYMENTS, session.id, (cur) => {
+    const base = cur || { id: session.id, status: "pending", createdAt: new Date().toISOString(), sources: [] };
+    const status = advance(base.status, sessionStatus(session));
+    return {
+      ...base,
+      status,
+      ...paidTime(base, status, session, eventAt),
+      amount: session.amount_total ?? base.amount ?? null,
+      currency: session.currency ?? base.currency ?? null,
+      email: session.customer_details?.email ?? base.email ?? null,
+      paymentIntent: intent ?? base.paymentIntent ?? null,
+      product: session.metadata?.product ?? base.product ?? null,
+      customer: session.client_reference_id ?? base.customer ?? null,
+      updatedAt: new Date().toISOString(),
+      sources: addSource(base.sources, source)
+    };
+  });
+
+  // A refund may have been delivered before the checkout it belongs to
+  if (intent) {
+    const link = await store.update(INTENTS, intent, (cur) => ({ ...cur, id: intent, session: session.id }));
+    if (link.amountRefunded) {
+      record = await store.update(PAYMENTS, session.id, (cur) => applyRefund(cur, link, null));
+    }
+  }
+  await syncCredits(record);
+  return record;
+}
+
+export async function recordRefund(charge, source) {
+  const store = getStore();
+  const intent = intentId(charge.payment_intent);
+  if (!intent) return null;
+
+  const refund = { amountRefunded: charge.amount_refunded ?? 0, full: charge.refunded === true };
+  const link = await store.update(INTENTS, intent, (cur) => ({ ...cur, id: intent, session: cur?.session ?? null, ...refund }));
+  if (!link.session) return null;
+  const record = await store.update(PAYMENTS, link.session, (cur) => (cur ? applyRefund(cur, refund, source) : undefined));
+  await syncCredits(record);
+  return record;
+}
+
+export function getPayment(sessionId) {
+  return getStore().get(PAYMENTS, sessionId);
+}
+
+export function listPayments() {
+  return getStore().list(PAYMENTS);
+}
+
+// Takings per UTC day and currency (minor units), by when the provider took
+// the payment (our createdAt is only when we first heard of it). Refunds count
+// against the day of the payment, so a day's net only ever goes down.
+export function revenueByDay(records) {
+  const days = new Map();
+  for (const p of records) {
+    if (p.status !== "paid" && p.status !== "refunded") continue;
+    const day = (p.paidAt || p.createdAt).slice(0, 10);
+    const key = `${day}|${p.currency || ""}`;
+    const row = days.get(key) || { day, currency: p.currency || null, count: 0, gross: 0, refunded: 0, net: 0 };
+    row.count += 1;
+    row.gross += p.amount || 0;
+    row.refunded += p.amountRefunded || (p.status === "refunded" ? p.amount || 0 : 0);
+    row.net = row.gross - row.refunded;
+    days.set(key, row);
+  }
+  return [...days.values()].sort((a, b) => b.day.localeCompare(a.day));
+}
+
+// One entitlement per payment: the first token to claim the record wins and
+// every later call gets that same token back
+export async function claimEntitlement(sessionId, token) {
+  const record = await getStore().update(PAYMENTS, sessionId, (cur) =>
+    cur && !cur.entitlement ? { ...cur, entitlement: token, updatedAt: new Date().toISOString() } : undefined
+  );
+  return record ? record.entitlement : null;
+}
+
+export function hasAccess(record) {
+  return !!record && record.status === "paid";
+}
+
+// Why a record gives no access, for the client
+export function accessError(record) {
+  if (!record) return "Payment not found";
+  if (record.status === "refunded") return "Payment was refunded";
+  if (record.status === "expired") return "Checkout expired before payment";
+  return "Payment not completed";
+}
+
+// The customer's balance follows the record: credits once paid, gone once refunded
+async function syncCredits(record) {
+  if (record?.status === "paid") await grantCredits(record);
+  else if (record?.status === "refunded") await revokeCredits(record);
+}
+
+// Partial refunds are recorded but keep access; a full refund revokes it
+function applyRefund(record, refund, source) {
+  return {
+    ...record,
+    amountRefunded: Math.max(record.amountRefunded || 0, refund.amountRefunded),
+    status: refund.full ? advance(record.status, "refunded") : record.status,
+    updatedAt: new Date().toISOString(),
+    sources: addSource(record.sources, source)
+  };
+}
+
+// When the payment happened, by the provider's clock: the time of the
+// completed event. A record made before that event arrives (verify-session)
+// gets the checkout's creation time, marked as an estimate the event replaces.
+function paidTime(base, status, session, eventAt) {
+  if (status !== "paid" && status !== "refunded") return {};
+  if (eventAt && sessionStatus(session) === "paid" && (!base.paidAt || base.paidAtEstimated)) {
+    return { paidAt: unixIso(eventAt), paidAtEstimated: false };
+  }
+  if (!base.paidAt && session.created) return { paidAt: unixIso(session.created), paidAtEstimated: true };
+  return {};
+}
+
+function unixIso(sec) {
+  return new Date(sec * 1000).toISOString();
+}
+
+function sessionStatus(session) {
+  if (session.status === "expired") return "expired";
+  if (session.payment_status === "paid" || session.payment_status === "no_payment_required") return "paid";
+  return "pending";
+}
+
+function advance(prev, next) {
+  return RANK[next] >= (RANK[prev] ?? -1) ? next : prev;
+}
+
+function addSource(list = [], source) {
+  return source && !list.includes(source) ? [...list, source] : list;
+}
+
+function intentId(pi) {
+  return typeof pi === "string" ? pi : pi?.id ?? null;
+}
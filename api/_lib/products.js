@@ -0,0 +1,44 @@
+// api/_lib/products.js
+// What can be bought. A purchase adds listening sessions ("credits") to the
+// buyer's balance or opens an unlimited pass for some days; see credits.js.
+// With Stripe each tier needs a one-off price; tiers without one aren't offered.
+// BABYBEAT_PRODUCTS (JSON, same shape as DEFAULT_PRODUCTS) replaces the table.
+
+const DEFAULT_PRODUCTS = {
+  single:  { name: "Single session",        credits: 1,  priceEnv: "STRIPE_PRICE_ID" },
+  bundle5: { name: "5-session bundle",      credits: 5,  priceEnv: "STRIPE_PRICE_BUNDLE5_ID" },
+  pass30:  { name: "30-day unlimited pass", passDays: 30, priceEnv: "STRIPE_PRICE_PASS30_ID" }
+};
+
+export const DEFAULT_PRODUCT = "single";
+
+function table() {
+  if (!process.env.BABYBEAT_PRODUCTS) return DEFAULT_PRODUCTS;
+  try {
+    return JSON.parse(process.env.BABYBEAT_PRODUCTS);
+  } catch {
+    console.error("[products] BABYBEAT_PRODUCTS is not valid JSON; using the defaults");
+    return DEFAULT_PRODUCTS;
+  }
+}
+
+// → { id, name, credits, passDays, priceId, priceEnv } or null
+// Own keys only: "constructor", "__proto__" and the like are not products
+export function getProduct(id = DEFAULT_PRODUCT) {
+  const products = table();
+  if (!Object.hasOwn(products, id)) return null;
+  const p = products[id];
+  if (!p || typeof p !== "object") return null;
+  return {
+    id,
+    name: p.name || id,
+    credits: p.credits || 0,
+    passDays: p.passDays || 0,
+    priceId: p.priceId || (p.priceEnv ? process.env[p.priceEnv] : null) || null,
+    priceEnv: p.priceEnv || null
+  };
+}
+
+export function listProducts() {
+  return Object.keys(table()).map((id) => getProduct(id)).filter(Boolean);
+}
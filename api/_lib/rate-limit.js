@@ -0,0 +1,49 @@
+// api/_lib/rate-limit.js
+// Failure counting with lockout, keyed by anything ("ip:1.2.3.4",
+// "user:alice"). Failures older than the window drop out; reaching the limit
+// locks the key for lockMs. Stored so every instance sees the same counts.
+import { getStore } from "./store.js";
+
+const ATTEMPTS = "login_attempts";
+
+// → { locked, retryAfterSec }
+export async function checkLimit(key, now = Date.now()) {
+  const rec = await getStore().get(ATTEMPTS, key);
+  const until = rec && rec.lockedUntil ? Date.parse(rec.lockedUntil) : 0;
+  return until > now ? { locked: true, retryAfterSec: Math.ceil((until - now) / 1000) } : { locked: false, retryAfterSec: 0 };
+}
+
+export async function recordFailure(key, { max, windowMs, lockMs }, now = Date.now()) {
+  return getStore().update(ATTEMPTS, key, (cur) => {
+    const failures = (cur?.failures || []).filter((t) => now - Date.parse(t) < windowMs);
+    failures.push(new Date(now).toISOString());
+    const locked = failures.length >= max;
+    return {
+      id: key,
+      failures: locked ? [] : failures,
+      lockedUntil: locked ? new Date(now + lockMs).toISOString() : cur?.lockedUntil ?? null
+    };
+  });
+}
+
+export async function clearFailures(key) {
+  await getStore().delete(ATTEMPTS, key);
+}
+
+// Only addresses a proxy we trust wrote: Vercel sets x-vercel-forwarded-for
+// and x-real-ip itself. The first X-Forwarded-For hop is whatever the client
+// sent, so only its last hop (added by the proxy in front of us) counts.
+export function clientIp(req) {
+  const vercel = header(req, "x-vercel-forwarded-for");
+  if (vercel) return vercel.split(",")[0].trim();
+  const real = header(req, "x-real-ip");
+  if (real) return real.trim();
+  const fwd = header(req, "x-forwarded-for");
+  if (fwd) return fwd.split(",").pop().trim();
+  return req.socket?.remoteAddress || "unknown";
+}
+
+function header(req, name) {
+  const value = req.headers[name];
+  return typeof value === "string" ? value : "";
+}
@@ -0,0 +1,131 @@
+// api/_lib/store.js
+// Pluggable persistence for server-side records (payments, processed webhook
+// events, …), organised as named collections of JSON records keyed by id.
+// A store is any object with these async methods:
+//   get(collection, id)        → record | null
+//   put(collection, id, value) → value
+//   update(collection, id, fn) → fn(current | null) returns the new record
+//                                (or undefined to leave it); runs serialized
+//   list(collection)           → record[]
+//   delete(collection, id)     → boolean
+// BABYBEAT_STORE picks the built-in one: "memory", or "file:<path>" (default
+// file:<tmpdir>/babybeat-store.json, since serverless functions may only write
+// the temp dir). The file store is for local use and single instances; plug
+// a shared database in with setStore() for production.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+let current = null;
+
+export function getStore() {
+  if (!current) current = createStore(process.env.BABYBEAT_STORE);
+  return current;
+}
+
+export function setStore(store) {
+  current = store;
+}
+
+export function createStore(spec) {
+  const value = spec || `file:${path.join(os.tmpdir(), "babybeat-store.json")}`;
+  if (value === "memory") return new MemoryStore();
+  if (value.startsWith("file:")) return new FileStore(value.slice(5));
+  throw new Error(`Unknown BABYBEAT_STORE "${value}" (use "memory" or "file:<path>")`);
+}
+
+export class MemoryStore {
+  constructor(data = {}) {
+    this.data = data;           // { collection: { id: record } }
+    this.queue = Promise.resolve();
+  }
+
+  // Every operation goes through the queue, so read-modify-write never interleaves
+  run(fn) {
+    const next = this.queue.then(fn);
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  table(collection) {
+    return (this.data[collection] ||= {});
+  }
+
+  async load() {}
+  async save() {}
+
+  get(collection, id) {
+    return this.run(async () => {
+      await this.load();
+      return clone(this.table(collection)[id] ?? null);
+    });
+  }
+
+  put(collection, id, value) {
+    return this.run(async () => {
+      await this.load();
+      this.table(collection)[id] = clone(value);
+      await this.save();
+      return value;
+    });
+  }
+
+  update(collection, id, fn) {
+    return this.run(async () => {
+      await this.load();
+      const table = this.table(collection);
+      const next = await fn(clone(table[id] ?? null));
+      if (next === undefined) return clone(table[id] ?? null);
+      table[id] = clone(next);
+      await this.save();
+      return next;
+    });
+  }
+
+  list(collection) {
+    return this.run(async () => {
+      await this.load();
+      return Object.values(this.table(collection)).map(clone);
+    });
+  }
+
+  delete(collection, id) {
+    return this.run(async () => {
+      await this.load();
+      const table = this.table(collection);
+      if (!(id in table)) return false;
+      delete table[id];
+      await this.save();
+      return true;
+    });
+  }
+}
+
+// One JSON file, re-read before every operation (other processes may have
+// written it) and replaced atomically via a temp file + rename.
+export class FileStore extends MemoryStore {
+  constructor(file) {
+    super();
+    this.file = path.resolve(file);
+  }
+
+  async load() {
+    try {
+      this.data = JSON.parse(await fs.readFile(this.file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      this.data = {};
+    }
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(this.data, null, 2));
+    await fs.rename(tmp, this.file);
+  }
+}
+
+function clone(v) {
+  return v === null || v === undefined ? v : structuredClone(v);
+}
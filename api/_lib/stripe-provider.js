@@ -0,0 +1,71 @@
+// api/_lib/stripe-provider.js
+// Stripe Checkout behind the payment-provider interface.
+import Stripe from "stripe";
+import { providerError } from "./payment-provider.js";
+
+let client = null;
+
+function stripe() {
+  client ||= new Stripe(process.env.STRIPE_SECRET_KEY, {
+    apiVersion: "2024-06-20",
+  });
+  return client;
+}
+
+export default {
+  name: "stripe",
+
+  missingConfig({ product, webhook } = {}) {
+    const need = ["STRIPE_SECRET_KEY"];
+    if (webhook) need.push("STRIPE_WEBHOOK_SECRET");
+    const missing = need.filter((k) => !process.env[k]);
+    if (product && !product.priceId) missing.push(product.priceEnv || `priceId of ${product.id}`);
+    return missing;
+  },
+
+  // The publishable key is safe to expose
+  clientConfig() {
+    const publishableKey = process.env.STRIPE_PUBLISHABLE_KEY;
+    if (!publishableKey) throw providerError(500, "config", "Missing STRIPE_PUBLISHABLE_KEY");
+    return { publishableKey };
+  },
+
+  sells(product) {
+    return !!product.priceId;
+  },
+
+  async priceOf(product) {
+    if (!process.env.STRIPE_SECRET_KEY || !product.priceId) return null;
+    const price = await stripe().prices.retrieve(product.priceId);
+    return { amount: price.unit_amount, currency: price.currency };
+  },
+
+  // Stripe allows either a pre-applied discount or the promo code field
+  async createCheckout({ product, customer, promo, origin }) {
+    let discounts;
+    if (promo) {
+      const found = await stripe().promotionCodes.list({ code: promo, active: true, limit: 1 });
+      if (!found.data.length) throw providerError(400, "promo_invalid", "Unknown or expired promo code");
+      discounts = [{ promotion_code: found.data[0].id }];
+    }
+    const session = await stripe().checkout.sessions.create({
+      mode: "payment",
+      line_items: [{ price: product.priceId, quantity: 1 }],
+      client_reference_id: customer,
+      metadata: { product: product.id },
+      ...(discounts ? { discounts } : { allow_promotion_codes: true }),
+      success_url: `${origin}/?success=true&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${origin}/?canceled=true`,
+    });
+    return { id: session.id, url: session.url };
+  },
+
+  getCheckout(id) {
+    return stripe().checkout.sessions.retrieve(id);
+  },
+
+  // The signature covers the exact bytes of the body
+  async parseWebhook(rawBody, headers) {
+    return stripe().webhooks.constructEvent(rawBody, headers["stripe-signature"], process.env.STRIPE_WEBHOOK_SECRET);
+  }
+};
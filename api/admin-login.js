@@ -1,4 +1,15 @@
 // /api/admin-login.js
+// Signs in a named admin (accounts are managed with scripts/admin-users.js).
+// Failures are counted per client IP and per username; either one reaching
+// its limit locks further attempts for a while (429 with Retry-After). The
+// username limit doesn't involve the IP, so rotating addresses doesn't help.
+import { authenticate, createSession, normalizeUsername } from './_lib/admin.js';
+import { checkLimit, recordFailure, clearFailures, clientIp } from './_lib/rate-limit.js';
+
+const WINDOW_MS = 15 * 60 * 1000;
+const IP_LIMIT   = { max: 20, windowMs: WINDOW_MS, lockMs: WINDOW_MS };
+const USER_LIMIT = { max: 5,  windowMs: WINDOW_MS, lockMs: WINDOW_MS };
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
@@ -6,45 +17,31 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { password } = req.body || {};
-    const expected = process.env.ADMIN_PASSWORD;
-
-    if (!expected) {
-      return res.status(500).json({ error: 'ADMIN_PASSWORD not configured' });
-    }
-    if (typeof password !== 'string' || password.length === 0) {
-      return res.status(400).json({ error: 'Missing password' });
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'Missing username or password' });
     }
 
-    // Constant-time compare
-    const { timingSafeEqual, createHmac, randomBytes } = await import('node:crypto');
-    const enc = (s) => Buffer.from(String(s));
-    const a = enc(password);
-    const b = enc(expected);
-    const match = a.length === b.length && timingSafeEqual(a, b);
-    if (!match) return res.status(401).json({ error: 'Invalid credentials' });
-
-    // Make a minimal signed token (HMAC). You can replace with JWT if you prefer.
-    const secret = process.env.SESSION_SECRET || expected;
-    const uid = randomBytes(8).toString('hex');
-    const ts = Date.now();
-    const payload = Buffer.from(JSON.stringify({ uid, ts, role: 'admin' })).toString('base64url');
-    const sig = createHmac('sha256', secret).update(payload).digest('base64url');
-    const token = `${payload}.${sig}`;
+    const ipKey = `ip:${clientIp(req)}`;
+    const userKey = `user:${normalizeUsername(username)}`;
+    for (const key of [ipKey, userKey]) {
+      const limit = await checkLimit(key);
+      if (limit.locked) {
+        res.setHeader('Retry-After', String(limit.retryAfterSec));
+        return res.status(429).json({ error: 'Too many attempts. Try again later.', retryAfterSec: limit.retryAfterSec });
+      }
+    }
 
-    // 12 hours
-    const maxAge = 60 * 60 * 12;
-    const cookie = [
-      `admin_session=${token}`,
-      `HttpOnly`,
-      `Secure`,
-      `SameSite=Lax`,
-      `Path=/`,
-      `Max-Age=${maxAge}`
-    ].join('; ');
+    const user = await authenticate(username, password);
+    if (!user) {
+      await recordFailure(ipKey, IP_LIMIT);
+      await recordFailure(userKey, USER_LIMIT);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
-    res.setHeader('Set-Cookie', cookie);
-    return res.status(200).json({ ok: true });
+    await clearFailures(userKey);
+    await createSession(res, user, { ip: clientIp(req) });
+    return res.status(200).json({ ok: true, user: user.id });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: 'Server error' });
@@ -1,7 +1,19 @@
 // /api/admin-logout.js
-export default function handler(req, res){
-  res.setHeader('Set-Cookie', [
-    'admin_session=; HttpOnly; Secure; SameSite=Lax; Path=/; Max-Age=0'
-  ]);
+// Revokes the session server-side, so a copied cookie stops working too
+import { revokeSession, clearSessionCookie } from './_lib/admin.js';
+
+export default async function handler(req, res) {
+  // POST only: a cross-site GET (an <img>, a link) must not sign anyone out
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    await revokeSession(req);
+  } catch (e) {
+    console.error(e);
+  }
+  clearSessionCookie(res);
   res.status(200).json({ ok: true });
 }
@@ -0,0 +1,43 @@
+// /api/admin-payments.js
+// Admin only. Checkout sessions, newest first, with the state of the token
+// each one minted, plus revenue by day. ?q= filters on email or session id.
+// → { payments: [...], revenue: [{ day, currency, count, gross, refunded, net }] }
+import { requireAdmin } from "./_lib/admin.js";
+import { listPayments, revenueByDay } from "./_lib/payments.js";
+import { getEntitlement, adminView } from "./_lib/entitlements.js";
+
+const MAX_ROWS = 200;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  if (!(await requireAdmin(req, res))) return;
+
+  const all = await listPayments();
+  const q = String(req.query?.q || "").trim().toLowerCase();
+  const matches = all
+    .filter((p) => !q || p.id.toLowerCase().includes(q) || (p.email || "").toLowerCase().includes(q))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, MAX_ROWS);
+
+  const payments = [];
+  for (const p of matches) {
+    const ent = p.entitlement ? await getEntitlement(p.entitlement) : null;
+    payments.push({
+      id: p.id,
+      status: p.status,
+      product: p.product || "single",
+      email: p.email,
+      amount: p.amount,
+      currency: p.currency,
+      amountRefunded: p.amountRefunded || 0,
+      createdAt: p.createdAt,
+      paidAt: p.paidAt ?? null,
+      updatedAt: p.updatedAt,
+      token: ent ? await adminView(ent) : null
+    });
+  }
+  return res.status(200).json({ payments, total: all.length, revenue: revenueByDay(all) });
+}
@@ -0,0 +1,69 @@
+// /api/admin-tokens.js
+// Admin only. GET lists access tokens, newest first (?q= filters on token,
+// email or payment id). POST changes one:
+//   { action: "revoke", token }
+//   { action: "extend", token, minutes?, uses? }
+//   { action: "comp", email?, note?, minutes?, uses? }   → also returns a sign-in link
+// Every change is logged on the token with the admin's username.
+import { requireAdmin } from "./_lib/admin.js";
+import { getPayment } from "./_lib/payments.js";
+import {
+  listEntitlements, adminView, revokeEntitlement, extendEntitlement, issueComplimentary
+} from "./_lib/entitlements.js";
+
+const MAX_ROWS = 200;
+const MAX_MINUTES = 60 * 24 * 30;
+const MAX_USES = 1000;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
+  if (req.method === "GET") {
+    const q = String(req.query?.q || "").trim().toLowerCase();
+    const rows = [];
+    for (const ent of await listEntitlements()) {
+      const email = ent.email ?? (ent.payment ? (await getPayment(ent.payment))?.email : null) ?? null;
+      const hay = [ent.id, ent.payment, email].filter(Boolean).join(" ").toLowerCase();
+      if (!q || hay.includes(q)) rows.push({ ...(await adminView(ent)), email });
+    }
+    rows.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return res.status(200).json({ tokens: rows.slice(0, MAX_ROWS), total: rows.length });
+  }
+
+  const body = req.body || {};
+  const minutes = clamp(body.minutes, MAX_MINUTES);
+  const uses = clamp(body.uses, MAX_USES);
+  let ent;
+  switch (body.action) {
+    case "revoke":
+      ent = await revokeEntitlement(String(body.token || ""), admin.user);
+      break;
+    case "extend":
+      if (!minutes && !uses) return res.status(400).json({ error: "Give minutes and/or uses to add" });
+      ent = await extendEntitlement(String(body.token || ""), { minutes, uses }, admin.user);
+      break;
+    case "comp": {
+      const email = typeof body.email === "string" && body.email.trim() ? body.email.trim().slice(0, 200) : null;
+      const note = typeof body.note === "string" && body.note.trim() ? body.note.trim().slice(0, 500) : null;
+      ent = await issueComplimentary({ email, note, minutes, uses }, admin.user);
+      const origin = req.headers.origin || `https://${req.headers.host}`;
+      const link = `${origin}/api/app?token=${encodeURIComponent(ent.id)}`;
+      return res.status(201).json({ token: await adminView(ent), link });
+    }
+    default:
+      return res.status(400).json({ error: "Unknown action" });
+  }
+  if (!ent) return res.status(404).json({ error: "Token not found" });
+  return res.status(200).json({ token: await adminView(ent) });
+}
+
+// Whole positive numbers only, capped; anything else counts as 0
+function clamp(value, max) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : 0;
+}
@@ -0,0 +1,70 @@
+// /api/analyze.js
+// Server-side heartbeat analysis of live audio (the engine's AI hook). The
+// browser streams consecutive chunks of one listening session:
+//   POST { v: 1, session, seq, sampleRate, pcm16 }   pcm16: base64 little-endian Int16 mono
+//   POST { v: 1, session, end: true }                 drop the stream
+// seq counts chunks from 0; seq 0 (re)starts the stream. Answers:
+//   200 { v, session, ack, duplicate, result: { bpm, confidence, label, quality, fetal, maternal, analyzedSec } }
+//   409 { error, expected }        gap or unknown stream: resend from seq `expected` (0 = start over)
+//   429 { error, retryAfterMs }    slow down (also Retry-After, in seconds)
+//   400 / 403 / 413               bad request / no access / chunk too long
+// A retried chunk that was already applied is acknowledged again (duplicate: true).
+// Needs the same access as the core: an admin session or a token that hasn't lapsed.
+import { readToken } from "./_lib/http.js";
+import { getAdminSession } from "./_lib/admin.js";
+import { checkAccess } from "./_lib/entitlements.js";
+import {
+  analyzeChunk, endStream, PROTOCOL_VERSION, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE, MAX_CHUNK_SEC
+} from "./_lib/analysis.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  let subject;
+  const admin = await getAdminSession(req);
+  if (admin) {
+    subject = `admin:${admin.user}`;
+  } else {
+    const token = readToken(req);
+    const access = await checkAccess(token);
+    if (!access.ok && access.reason !== "used-up") return res.status(403).json({ error: "No access", reason: access.reason });
+    subject = token;
+  }
+
+  const { v, session, seq, sampleRate, pcm16, end } = req.body || {};
+  if (v !== PROTOCOL_VERSION) return res.status(400).json({ error: `Unsupported protocol version (use ${PROTOCOL_VERSION})` });
+  if (typeof session !== "string" || !session || session.length > 64) return res.status(400).json({ error: "Missing session" });
+  const key = `${subject}:${session}`;
+
+  if (end) {
+    endStream(key);
+    return res.status(200).json({ v, session, ended: true });
+  }
+
+  if (!Number.isInteger(seq) || seq < 0) return res.status(400).json({ error: "Missing seq" });
+  if (!(sampleRate >= MIN_SAMPLE_RATE && sampleRate <= MAX_SAMPLE_RATE)) {
+    return res.status(400).json({ error: `sampleRate must be ${MIN_SAMPLE_RATE}–${MAX_SAMPLE_RATE}` });
+  }
+  if (typeof pcm16 !== "string") return res.status(400).json({ error: "Missing pcm16" });
+  const bytes = Buffer.from(pcm16, "base64");
+  if (bytes.length / 2 > sampleRate * MAX_CHUNK_SEC) {
+    return res.status(413).json({ error: `Chunks are limited to ${MAX_CHUNK_SEC} s` });
+  }
+
+  const samples = new Float32Array(bytes.length >> 1);
+  for (let i = 0; i < samples.length; i++) samples[i] = bytes.readInt16LE(i * 2) / 32768;
+
+  const out = analyzeChunk(key, { seq, sampleRate, samples });
+  if (out.status === "restart") {
+    return res.status(409).json({ error: "Out of sequence", expected: out.expected });
+  }
+  if (out.status === "busy") {
+    res.setHeader("Retry-After", String(Math.ceil(out.retryAfterMs / 1000)));
+    return res.status(429).json({ error: "Too many requests", retryAfterMs: out.retryAfterMs });
+  }
+  return res.status(200).json({ v, session, ack: out.ack, duplicate: out.duplicate, result: out.result });
+}
@@ -0,0 +1,36 @@
+// /api/app.js
+// The detector shell (app/main.html, outside public/). Sent only to a
+// signed-in admin or to the holder of a valid access token (bb_access cookie
+// from verify-session, or ?token=); everyone else is redirected, to the login
+// form when ?admin is set and to checkout on the landing page otherwise.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { readToken, accessCookie, redirect } from "./_lib/http.js";
+import { getAdminSession } from "./_lib/admin.js";
+import { checkAccess, describeEntitlement } from "./_lib/entitlements.js";
+
+export default async function handler(req, res) {
+  if (!(await getAdminSession(req, res))) {
+    const token = readToken(req);
+    const access = await checkAccess(token);
+    if (!access.ok) {
+      if (req.query?.admin !== undefined) return redirect(res, "/admin-login.html?next=%2Fapi%2Fapp");
+      return redirect(res, `/?access=${encodeURIComponent(access.reason)}`);
+    }
+    // A token from the link becomes the cookie the shell's API calls rely on
+    if (req.query?.token) {
+      res.setHeader("Set-Cookie", accessCookie(token, describeEntitlement(access.entitlement).remainingMs / 1000));
+      return redirect(res, "/api/app");
+    }
+  }
+
+  let html;
+  try {
+    html = await fs.readFile(path.join(process.cwd(), "app", "main.html"), "utf8");
+  } catch {
+    return res.status(404).send("App not found");
+  }
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).send(html);
+}
@@ -0,0 +1,20 @@
+// /api/balance.js
+// Sessions left on the buyer's balance (bb_customer cookie):
+// { credits, passUntil, active } where active tells whether the current
+// access token still opens the detector, so no credit is needed for it.
+import { readCookie, readToken, CUSTOMER_COOKIE } from "./_lib/http.js";
+import { getCustomer, balanceOf } from "./_lib/credits.js";
+import { checkAccess } from "./_lib/entitlements.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  const id = readCookie(req, CUSTOMER_COOKIE);
+  const balance = balanceOf(id ? await getCustomer(id) : null);
+  const access = await checkAccess(readToken(req));
+  return res.status(200).json({ ...balance, active: access.ok });
+}
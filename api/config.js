@@ -1,9 +1,42 @@
 // /api/config.js
-export default function handler(req, res) {
-  // Do NOT put secrets here; publishable key is safe to expose.
-  const pk = process.env.STRIPE_PUBLISHABLE_KEY || "";
-  if (!pk) {
-    return res.status(500).json({ error: "Missing STRIPE_PUBLISHABLE_KEY" });
+// Public checkout config: which payment provider the browser talks to, its
+// public settings (Stripe: the publishable key) and the tiers on sale with
+// their prices (looked up once per PRICE_CACHE_MS per instance).
+import { listProducts } from "./_lib/products.js";
+import { getProvider } from "./_lib/payment-provider.js";
+
+const PRICE_CACHE_MS = 10 * 60 * 1000;
+let priceCache = { at: 0, provider: null, prices: {} };
+
+async function prices(provider, products) {
+  if (priceCache.provider === provider.name && Date.now() - priceCache.at < PRICE_CACHE_MS) return priceCache.prices;
+  const found = {};
+  await Promise.all(products.map(async (p) => {
+    try {
+      const price = await provider.priceOf(p);
+      if (price) found[p.id] = price;
+    } catch (err) {
+      console.error("[config] price lookup failed:", p.id, err?.message);
+    }
+  }));
+  priceCache = { at: Date.now(), provider: provider.name, prices: found };
+  return found;
+}
+
+export default async function handler(req, res) {
+  // Do NOT put secrets here; only what the browser may see.
+  let provider, publicConfig;
+  try {
+    provider = await getProvider();
+    publicConfig = provider.clientConfig();
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
   }
-  res.status(200).json({ publishableKey: pk });
+  const products = listProducts().filter((p) => provider.sells(p));
+  const known = await prices(provider, products);
+  res.status(200).json({
+    provider: provider.name,
+    ...publicConfig,
+    products: products.map(({ priceId, priceEnv, ...p }) => ({ ...p, ...known[p.id] }))
+  });
 }
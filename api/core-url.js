@@ -0,0 +1,40 @@
+// /api/core-url.js
+// Hands out a signed URL for the current core version, valid for
+// CORE_URL_TTL_SEC and bound to the caller's access token (or admin session).
+// Spends one use of the token; loading the URL itself spends nothing.
+// → { url, version, integrity, expiresAt }
+import { readToken } from "./_lib/http.js";
+import { getAdminSession } from "./_lib/admin.js";
+import { consumeAccess } from "./_lib/entitlements.js";
+import { currentRelease } from "./_lib/core-release.js";
+import { signUrl } from "./_lib/signed-url.js";
+
+export const CORE_URL_TTL_SEC = 300;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  let subject;
+  const admin = await getAdminSession(req, res);
+  if (admin) {
+    subject = `admin:${admin.user}`;
+  } else {
+    const token = req.body?.token || readToken(req);
+    const access = await consumeAccess(token);
+    if (!access.ok) return res.status(403).json({ error: "No access", reason: access.reason });
+    subject = token;
+  }
+
+  try {
+    const { version, integrity } = await currentRelease();
+    const { url, expiresAt } = signUrl("/api/core", { v: version, sub: subject }, CORE_URL_TTL_SEC);
+    return res.status(200).json({ url, version, integrity, expiresAt });
+  } catch (err) {
+    console.error("[core-url] failed:", err?.message);
+    return res.status(500).json({ error: "Core unavailable" });
+  }
+}
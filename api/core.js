@@ -1,20 +1,38 @@
-// api/core.js — Vercel Serverless Function (CommonJS). No vercel.json required.
-// It serves the core JS only if the token matches the CORE_TOKEN env var.
-const fs = require("fs");
-const path = require("path");
+// /api/core.js
+// Serves one version of the detector core behind a signed URL from
+// /api/core-url. The signature pins version, subject and expiry; the subject
+// must still hold access (the use was spent when the URL was signed, so a
+// used-up token is fine here). Versions are immutable, hence the ETag.
+import { getAdminSession } from "./_lib/admin.js";
+import { checkAccess } from "./_lib/entitlements.js";
+import { loadRelease } from "./_lib/core-release.js";
+import { verifyUrl } from "./_lib/signed-url.js";
 
-module.exports = (req, res) => {
-  const { token } = req.query || {};
-  const valid = process.env.CORE_TOKEN;
-  if (!valid || token !== valid) {
-    return res.status(403).send("Forbidden");
+export default async function handler(req, res) {
+  const signed = verifyUrl("/api/core", req.query || {}, ["v", "sub"]);
+  if (!signed.ok) return res.status(403).send(`Forbidden (${signed.reason})`);
+
+  const { v, sub } = signed.params;
+  if (sub.startsWith("admin:")) {
+    const admin = await getAdminSession(req);
+    if (!admin || `admin:${admin.user}` !== sub) return res.status(403).send("Forbidden (admin)");
+  } else {
+    const access = await checkAccess(sub);
+    if (!access.ok && access.reason !== "used-up") return res.status(403).send(`Forbidden (${access.reason})`);
   }
-  // Serve the ESM file only (no UMD/wrapper needed)
-  const filePath = path.join(process.cwd(), "public", "babybeat-core.js");
-  if (!fs.existsSync(filePath)) return res.status(404).send("Core not found");
 
-  const js = fs.readFileSync(filePath, "utf8");
+  const core = await loadRelease(v);
+  if (!core) return res.status(404).send("Core version not found");
+
+  const etag = `"${core.version}"`;
+  const maxAge = Math.max(0, parseInt(req.query.exp, 10) - Math.floor(Date.now() / 1000));
+  res.setHeader("ETag", etag);
+  res.setHeader("X-Core-Version", core.version);
+  res.setHeader("X-Core-Integrity", core.integrity);
+  res.setHeader("Cache-Control", `private, max-age=${maxAge}, immutable`);
+  const match = (req.headers["if-none-match"] || "").split(/\s*,\s*/);
+  if (match.includes(etag) || match.includes(`W/${etag}`)) return res.status(304).end();
+
   res.setHeader("Content-Type", "application/javascript; charset=utf-8");
-  res.setHeader("Cache-Control", "no-store");
-  return res.status(200).send(js);
-};
+  return res.status(200).send(core.code);
+}
@@ -1,5 +1,13 @@
 // /api/create-checkout-session.js
-import Stripe from "stripe";
+// Body: { product?, promo? }. product is a tier from _lib/products.js
+// (default "single"); promo pre-applies a promotion code, otherwise the
+// provider's checkout page offers its own code field. The buyer's customer
+// id goes along so the webhook can credit the right balance.
+// → { id, url, provider }
+import { readCookie, CUSTOMER_COOKIE, customerCookie } from "./_lib/http.js";
+import { getProduct, DEFAULT_PRODUCT } from "./_lib/products.js";
+import { newCustomerId } from "./_lib/credits.js";
+import { getProvider } from "./_lib/payment-provider.js";
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
@@ -7,34 +15,38 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method Not Allowed" });
   }
 
-  const missing = ["STRIPE_SECRET_KEY", "STRIPE_PRICE_ID"].filter(
-    (k) => !process.env[k]
-  );
-  if (missing.length) {
-    return res
-      .status(500)
-      .json({ error: `Missing env var(s): ${missing.join(", ")}` });
-  }
+  const { product: productId = DEFAULT_PRODUCT, promo } = req.body || {};
+  const product = getProduct(String(productId));
+  if (!product) return res.status(400).json({ error: `Unknown product "${productId}"` });
 
   try {
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-      apiVersion: "2024-06-20",
-    });
+    const provider = await getProvider();
+    const missing = provider.missingConfig({ product });
+    if (missing.length) {
+      return res
+        .status(500)
+        .json({ error: `Missing env var(s): ${missing.join(", ")}` });
+    }
 
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      line_items: [{ price: process.env.STRIPE_PRICE_ID, quantity: 1 }],
-      success_url: `${req.headers.origin}/?success=true`,
-      cancel_url: `${req.headers.origin}/?canceled=true`,
-    });
+    let customer = readCookie(req, CUSTOMER_COOKIE);
+    if (!customer) {
+      customer = newCustomerId();
+      res.setHeader("Set-Cookie", customerCookie(customer));
+    }
 
-    return res.status(200).json({ id: session.id });
+    const checkout = await provider.createCheckout({
+      product,
+      customer,
+      promo: typeof promo === "string" && promo.trim() ? promo.trim() : null,
+      origin: req.headers.origin || `https://${req.headers.host}`
+    });
+    return res.status(200).json({ ...checkout, provider: provider.name });
   } catch (err) {
     // Surface enough detail to debug (without secrets)
     const code = err?.code || err?.type || "server_error";
     const message = err?.message || "Internal Server Error";
     console.error("[checkout] failed:", code, message);
-    const status = code === "resource_missing" || code === "invalid_request_error" ? 400 : 500;
+    const status = err?.status || (code === "resource_missing" || code === "invalid_request_error" ? 400 : 500);
     return res.status(status).json({ error: message, code });
   }
 }
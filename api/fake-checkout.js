@@ -0,0 +1,102 @@
+// /api/fake-checkout.js
+// The fake provider's "hosted checkout" (PAYMENT_PROVIDER=fake with
+// BABYBEAT_ALLOW_FAKE_PAYMENTS=1, never in production).
+// GET ?id=  shows the checkout with Pay / Cancel / Expire, and Refund once paid.
+// POST { id, action: "pay" | "cancel" | "expire" | "refund", email? }
+//   → { status, delivered, redirect } (delivered: whether the webhook got through)
+import { providerName, fakePaymentsAllowed } from "./_lib/payment-provider.js";
+import {
+  getFakeCheckout, payCheckout, cancelCheckout, expireCheckout, refundCheckout
+} from "./_lib/fake-provider.js";
+
+const ACTIONS = { pay: payCheckout, cancel: cancelCheckout, expire: expireCheckout, refund: refundCheckout };
+
+export default async function handler(req, res) {
+  if (providerName() !== "fake" || !fakePaymentsAllowed()) return res.status(404).send("Not found");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "POST") {
+    const { id, action, email } = req.body || {};
+    const run = ACTIONS[action];
+    if (!run) return res.status(400).json({ error: "Unknown action" });
+    try {
+      const result = await run(String(id || ""), { email });
+      return res.status(200).json({ status: result.checkout.status, delivered: result.delivered, redirect: result.redirect });
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message, code: err.code });
+    }
+  }
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  const checkout = await getFakeCheckout(String(req.query?.id || ""));
+  if (!checkout) return res.status(404).send("No such checkout");
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  return res.status(200).send(page(checkout));
+}
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function page(c) {
+  const amount = `${(c.amount_total / 100).toFixed(2)} ${c.currency.toUpperCase()}`;
+  const open = c.status === "open";
+  const paid = c.status === "complete" && !c.refunded;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Fake checkout • BabyBeat</title>
+  <style>
+    body{margin:0;display:grid;place-items:center;min-height:100vh;font-family:ui-sans-serif,system-ui,sans-serif;background:#f4f5fb;color:#1b1f3b}
+    .card{width:min(380px,92vw);padding:24px;border-radius:14px;background:#fff;border:2px dashed #f59e0b}
+    h1{margin:0 0 4px 0;font-size:20px}
+    .tag{display:inline-block;font-size:12px;font-weight:700;color:#92400e;background:#fef3c7;border-radius:6px;padding:2px 6px}
+    dl{display:grid;grid-template-columns:auto 1fr;gap:6px 12px;font-size:14px}
+    dt{color:#6b7280}
+    input{width:100%;box-sizing:border-box;padding:8px;border:1px solid #d1d5db;border-radius:8px;margin:4px 0 12px 0}
+    button{padding:10px 12px;border:0;border-radius:8px;font-weight:700;cursor:pointer;margin:0 6px 6px 0}
+    .pay{background:#4f46e5;color:#fff}
+    .alt{background:#e5e7eb}
+    #msg{font-size:13px;color:#b91c1c;min-height:1.2em}
+  </style>
+</head>
+<body>
+  <div class="card">
+    <span class="tag">TEST MODE · fake provider</span>
+    <h1>BabyBeat checkout</h1>
+    <dl>
+      <dt>Product</dt><dd>${esc(c.metadata?.product)}</dd>
+      <dt>Amount</dt><dd>${esc(amount)}</dd>
+      <dt>Status</dt><dd>${esc(c.refunded ? "refunded" : c.status)}</dd>
+      <dt>Checkout</dt><dd><code>${esc(c.id)}</code></dd>
+    </dl>
+    ${open ? `<label for="email">Email</label><input id="email" type="email" value="buyer@example.com" />
+    <button class="pay" data-action="pay">Pay ${esc(amount)}</button>
+    <button class="alt" data-action="cancel">Cancel</button>
+    <button class="alt" data-action="expire">Let it expire</button>` : ""}
+    ${paid ? `<button class="alt" data-action="refund">Refund in full</button>
+    <a href="${esc(c.success_url.replace("{CHECKOUT_SESSION_ID}", c.id))}">Back to BabyBeat</a>` : ""}
+    <p id="msg" role="status"></p>
+  </div>
+<script>
+  document.querySelectorAll("[data-action]").forEach(btn => btn.addEventListener("click", async () => {
+    const msg = document.getElementById("msg");
+    const email = document.getElementById("email");
+    const r = await fetch("/api/fake-checkout", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ id: ${JSON.stringify(c.id)}, action: btn.dataset.action, email: email && email.value })
+    });
+    const data = await r.json();
+    if (!r.ok) { msg.textContent = data.error; return; }
+    if (!data.delivered && btn.dataset.action !== "cancel") console.warn("webhook was not delivered");
+    if (data.redirect) location.assign(data.redirect);
+    else location.reload();
+  }));
+</script>
+</body>
+</html>`;
+}
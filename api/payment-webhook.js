@@ -0,0 +1,8 @@
+// /api/payment-webhook.js
+// Webhook of the configured PAYMENT_PROVIDER (the fake provider posts here).
+import { webhookHandler } from "./_lib/payment-provider.js";
+
+// The signature covers the exact bytes, so the body must not be parsed first
+export const config = { api: { bodyParser: false } };
+
+export default webhookHandler();
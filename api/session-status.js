@@ -0,0 +1,25 @@
+// /api/session-status.js
+// What's left of an access token: { valid, reason?, expiresAt, remainingMs,
+// usesLeft, maxUses }. Read-only, so the UI can poll it. Admins are always valid.
+import { readToken } from "./_lib/http.js";
+import { getAdminSession } from "./_lib/admin.js";
+import { checkAccess, describeEntitlement } from "./_lib/entitlements.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  const admin = await getAdminSession(req, res);
+  if (admin) return res.status(200).json({ valid: true, admin: true, user: admin.user });
+
+  const access = await checkAccess(readToken(req));
+  const info = describeEntitlement(access.entitlement);
+  if (!access.ok) {
+    return res.status(access.reason === "missing" || access.reason === "unknown" ? 401 : 403)
+      .json({ valid: false, reason: access.reason, ...info });
+  }
+  return res.status(200).json({ valid: true, ...info });
+}
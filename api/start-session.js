@@ -0,0 +1,33 @@
+// /api/start-session.js
+// Starts a listening session from the buyer's balance: spends one credit (or
+// nothing during a pass) on a fresh access token and sets it as the access
+// cookie. A token that still works is kept instead, so a double click or a
+// reload never spends twice. → { token, expiresAt, remainingMs, usesLeft, maxUses, balance }
+import { readCookie, readToken, accessCookie, CUSTOMER_COOKIE } from "./_lib/http.js";
+import { getCustomer, balanceOf } from "./_lib/credits.js";
+import { checkAccess, startSession, describeEntitlement } from "./_lib/entitlements.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  res.setHeader("Cache-Control", "no-store");
+
+  const customer = readCookie(req, CUSTOMER_COOKIE);
+  if (!customer) return res.status(403).json({ error: "No sessions on this device", reason: "no-credits" });
+
+  let ent;
+  const current = await checkAccess(readToken(req));
+  if (current.ok && current.entitlement.customer === customer) {
+    ent = current.entitlement;
+  } else {
+    const started = await startSession(customer);
+    if (!started.ok) return res.status(403).json({ error: "No sessions left", reason: started.reason });
+    ent = started.entitlement;
+  }
+
+  const info = describeEntitlement(ent);
+  res.setHeader("Set-Cookie", accessCookie(ent.id, info.remainingMs / 1000));
+  return res.status(200).json({ token: ent.id, ...info, balance: balanceOf(await getCustomer(customer)) });
+}
@@ -0,0 +1,11 @@
+// /api/stripe-webhook.js
+// Stripe → payment records. Verifies the signature on the raw body, then
+// applies checkout.session.completed / .expired and charge.refunded (see
+// _lib/payments.js). Always Stripe, whatever PAYMENT_PROVIDER says, so the
+// endpoint configured in the Stripe dashboard keeps working.
+import { webhookHandler } from "./_lib/payment-provider.js";
+
+// The signature covers the exact bytes, so the body must not be parsed first
+export const config = { api: { bodyParser: false } };
+
+export default webhookHandler("stripe");
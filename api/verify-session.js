@@ -1,22 +1,55 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const crypto = require('crypto');
+// /api/verify-session.js
+// Exchanges a paid Checkout Session for its access token. Access comes from
+// the payment record; while there is none or it is still pending (the
+// webhook hasn't arrived yet), the session is fetched from the payment
+// provider and recorded the same way, so both paths agree.
+// Calling it again for the same session returns the same token. The token is
+// also set as an HttpOnly cookie so /api/app can check page loads.
+// A purchase is redeemed only by the browser that started its checkout: the
+// caller's bb_customer cookie must be the customer the payment credited. A
+// session_id alone (from a shared link or history) gets nothing, and the
+// customer cookie is never set from a payment record.
+import { accessCookie, readCookie, CUSTOMER_COOKIE } from "./_lib/http.js";
+import { getPayment, recordCheckoutSession, hasAccess, accessError } from "./_lib/payments.js";
+import { issueForPayment, describeEntitlement } from "./_lib/entitlements.js";
+import { customerOf, getCustomer, balanceOf } from "./_lib/credits.js";
+import { getProvider } from "./_lib/payment-provider.js";
 
-let ISSUED_TOKENS = new Set(); // In-memory for demo
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+  const { session_id } = req.body || {};
+  if (!session_id) return res.status(400).json({ error: "Missing session_id" });
 
-module.exports = async (req, res) => {
-  if (req.method !== 'POST') return res.status(405).send('Method Not Allowed');
-  const { session_id } = req.body;
-  if (!session_id) return res.status(400).json({ error: 'Missing session_id' });
-  try {
-    const session = await stripe.checkout.sessions.retrieve(session_id);
-    if (session.payment_status === 'paid') {
-      const token = crypto.randomBytes(32).toString('hex');
-      ISSUED_TOKENS.add(token);
-      return res.json({ token });
-    } else {
-      return res.status(403).json({ error: 'Payment not completed' });
+  let record = await getPayment(session_id);
+  if (!record || record.status === "pending") {
+    try {
+      const provider = await getProvider();
+      const session = await provider.getCheckout(session_id);
+      record = await recordCheckoutSession(session, "verify-session");
+    } catch (e) {
+      // A pending record stays pending: the webhook may still complete it
+      if (!record) return res.status(400).json({ error: "Invalid session_id" });
     }
+  }
+
+  if (!hasAccess(record)) {
+    return res.status(403).json({ error: accessError(record), status: record.status });
+  }
+  // Payments from before customers existed are their own one-off balance
+  const customer = customerOf(record);
+  if (record.customer && readCookie(req, CUSTOMER_COOKIE) !== customer) {
+    return res.status(403).json({ error: "This purchase was made in another browser", reason: "wrong-customer" });
+  }
+  let ent;
+  try {
+    ent = await issueForPayment(record);
   } catch (e) {
-    return res.status(400).json({ error: 'Invalid session_id' });
+    return res.status(403).json({ error: e.message, reason: e.reason });
   }
-};
+  const info = describeEntitlement(ent);
+  res.setHeader("Set-Cookie", accessCookie(ent.id, info.remainingMs / 1000));
+  return res.json({ token: ent.id, ...info, balance: balanceOf(await getCustomer(customer)) });
+}
@@ -0,0 +1,1665 @@
+// babybeat-core.js
+// Simple, honest BabyBeat engine:
+// - One BPM stream (no forcing into fetal range)
+// - Semi–real-time: uses only last few beats
+// - Flags "likely maternal" only when BPM is in maternal range
+// - Flags "typical fetal range" when BPM is in fetal range
+// - Resets when no beats for a while (no sticky BPM)
+// - Detectors: 'peak' (threshold + refractory), 'tempo' (envelope
+//   autocorrelation, robust to gain changes and fast rates) and 'dual'
+//   (tracks fetal and maternal rhythms separately, each with a confidence)
+// - Offline mode: decoded files run through the same chain and detector
+// - The detection itself is DOM-free (babybeat-detector.js); this file is
+//   the browser adapter: Web Audio, UI and recording
+// - Live detection runs in an AudioWorklet (babybeat-detect-worklet.js) that
+//   sees every sample and stamps beats in audio-clock time; the main thread
+//   only renders what it posts, so a background tab keeps counting
+// - Integrations subscribe with on('beat' | 'bpm' | 'classification' |
+//   'status' | 'recording' | 'error' | 'session', fn) and read getState()
+// - Each listening session (BPM series, beats, recordings) is handed over
+//   in a 'session' event when it ends, so the shell can keep a history
+// - Recordings are saved twice: WebM (small) and 16-bit WAV with the detected
+//   beats as cue markers, plus a JSON sidecar with the same beats
+// - A signal quality score (SNR, rhythm regularity, clipping) gates the
+//   display: below the threshold no BPM and no "fetal-like" label is shown
+// - Microphone profiles (babybeat-profiles.js) define the whole chain:
+//   channel, bandpass, gain curve, compressor and detection thresholds.
+//   Custom ones are saved locally and can be exported/imported as JSON
+// - Every chain parameter (gain, filters, compressor) retunes live with short
+//   ramps; a mains-hum notch (50/60 Hz + harmonics) and a high/low-pass mode
+//   are available per profile
+// - Optional spectral noise reduction (babybeat-denoise.js, an AudioWorklet)
+//   sits before the compressor; it subtracts a captured room-noise profile
+// - Stereo mics are routed per channel (babybeat-channels.js): left, right,
+//   mix, or auto, which follows the channel with the better heartbeat SNR
+// - The visualisation is a scrolling phonocardiogram (babybeat-pcg.js) of
+//   the detector's envelope with every beat marked; it can be frozen and
+//   scrubbed back over the last seconds
+
+// Imports are absolute: the core is served from /api/core, not next to its modules
+import { BeatDetector, analyzeSamples, classifyBpm, clamp, ENVELOPE_RATE } from '/babybeat-detector.js';
+import { encodeWav, buildSidecar } from '/babybeat-wav.js';
+import { PhonocardiogramView } from '/babybeat-pcg.js';
+import { ChannelRouter } from '/babybeat-channels.js';
+import { loadPipeline, DetectionPipeline, SampleRing, RECENT_SECONDS } from '/babybeat-pipeline.js';
+import { loadDenoiser, Denoiser, loadNoiseProfile, saveNoiseProfile, CAPTURE_SECONDS } from '/babybeat-denoise.js';
+import { AnalysisClient } from '/babybeat-analysis.js';
+import { averageBeats, stitchBeats, buildKeepsake, KEEPSAKE_MIN_BEATS, KEEPSAKE_SECONDS } from '/babybeat-keepsake.js';
+import {
+  listProfiles, getProfile, saveProfile, deleteProfile, normalizeProfile,
+  exportProfile, parseProfile, gainForSensitivity,
+  getCurrentProfileId, setCurrentProfileId, DEFAULT_PROFILE, MAX_HARMONICS
+} from '/babybeat-profiles.js';
+
+export async function initBabyBeat(opts = {}) {
+  const els = mapSelectors(opts.elements || {});
+  const aiConfig = opts.ai || { enabled: false, endpoint: null };
+
+  // ----- CONSTANTS -----
+  const FILE_SAMPLE_RATE = 48000;    // decode target, matches the live mic request
+  const EVENT_TYPES = ['beat', 'bpm', 'classification', 'status', 'recording', 'error', 'session', 'channel', 'analysis', 'keepsake'];
+  const SERIES_EVERY_MS  = 1000;     // session BPM series resolution
+  const PARAM_RAMP_SEC   = 0.04;     // time constant for live parameter changes
+  const NOTCH_Q          = 30;       // narrow enough to leave heart sounds alone
+  const KEEPSAKE_BUF_SEC = 60;       // live audio kept for averaging beats
+  const PREVIEW_BEATS    = 8;        // averaged beats played by Play Enhanced
+
+  class BabyBeatEngine {
+    constructor(els, aiConfig) {
+      this.els = els;
+      this.ai = aiConfig || { enabled: false, endpoint: null };
+
+      this.audioContext = null;
+      this.microphone   = null;
+      this.pipeline     = null;     // detection worklet
+      this.liveState    = null;     // detector state from the worklet's last frame
+      this.clockOrigin  = 0;        // Date.now() at audio-clock time 0
+
+      this.gainNode     = null;
+      this.bandpass     = null;     // bandpass, or the high-pass corner in HP/LP mode
+      this.lowpass      = null;     // low-pass corner (all-pass in bandpass mode)
+      this.notches      = [];
+      this.denoiser     = null;
+      this.noiseProfile = loadNoiseProfile();
+      this.isCapturingNoise = false;
+      this.compressor   = null;
+      this.monitorGain  = null;
+      this.mediaDest    = null;
+      this.mediaRecorder = null;
+      this.recChunks    = [];
+      this.pcmChunks    = [];
+      this.recStartMs   = 0;
+      this.recStartClock = null;  // audio-clock ms of the first recorded sample
+      this.recBeats     = [];     // { sample, bpm } relative to recording start
+
+      this.isListening  = false;
+      this.isMonitoring = false;
+      this.isRecording  = false;
+
+      this.recent = new SampleRing(1);
+      this.level  = 0;            // mean |sample| of the last frame, for the glow
+
+      // Last KEEPSAKE_BUF_SEC of audio and its beats (absolute sample
+      // numbers); kept after stopping so a keepsake can still be made
+      this.keepsakeRing  = new SampleRing(1);
+      this.keepsakeBeats = [];
+      this.samplesSeen   = 0;
+      this.keepsakeReady = false;
+      this.keepsakeUrl   = null;
+
+      // Holds the detection settings and, while idle, the (reset) state;
+      // live results come from the worklet (see detectorState)
+      this.detector = new BeatDetector();
+
+      this.pcg = els.pcg ? new PhonocardiogramView(els.pcg, { rate: ENVELOPE_RATE }) : null;
+
+      this.listeners  = new Map(EVENT_TYPES.map(t => [t, new Set()]));
+      this.status     = '';
+      this.lastBpmKey = '';
+      this.lastRange  = null;
+      this.lastQualityOk  = false;
+      this.lastQualityPct = -1;
+
+      this.session      = null;
+      this.lastSeriesMs = 0;
+
+      this.channelMode  = 'mix';
+      this.router       = null;
+      this.lastChannelInfoMs = 0;
+      this.sensitivity  = 7;
+      this.profile      = getProfile(DEFAULT_PROFILE);
+      this.analysis     = null;     // AnalysisClient while server analysis runs
+      this.lastAnalysis = null;
+
+      this._previewGain   = null;
+      this._previewSource = null;
+
+      this.bindUI();
+      this.updateSliderLabels();
+    }
+
+    // ---------- Events ----------
+    // Every payload carries { type, timestamp } plus:
+    //   beat           { peak, snr, quality, bpm, range, audioTime }
+    //   bpm            { bpm, rawBpm, range, confidence, quality, mode, fetal, maternal }
+    //   classification { range, previous, bpm, label }
+    //   status         { message }
+    //   recording      { state: 'started' | 'stopped', mimeType, blob?, url? }
+    //   error          { source, message, error }
+    //   session        { state: 'started', id } | { state: 'ended', session }
+    //   channel        { mode, active, snr: { left, right } }
+    //   analysis       { bpm, confidence, label, quality, fetal, maternal, localBpm, seq, latencyMs }
+    //   keepsake       { blob, url, bpm, beats, durationSec }
+    // bpm values are rounded (or null); range is 'fetal' | 'maternal' | 'other' | null.
+    // timestamp is wall-clock ms; a beat's audioTime is its AudioContext time (s).
+    // bpm/fetal/maternal are null while signal quality is below the threshold;
+    // rawBpm is the detector's reading regardless.
+    on(type, fn) {
+      const set = this.listeners.get(type);
+      if (!set) throw new Error(`Unknown event "${type}". Use one of: ${EVENT_TYPES.join(', ')}`);
+      set.add(fn);
+      return () => set.delete(fn);
+    }
+
+    off(type, fn) {
+      const set = this.listeners.get(type);
+      if (set) set.delete(fn);
+    }
+
+    emit(type, payload) {
+      const set = this.listeners.get(type);
+      if (!set || !set.size) return;
+      const evt = { type, timestamp: Date.now(), ...payload };
+      for (const fn of set) {
+        // A broken subscriber must never stop the audio loop
+        try { fn(evt); } catch (e) { console.error(`[babybeat] ${type} listener failed`, e); }
+      }
+    }
+
+    fail(source, err) {
+      console.error(err);
+      this.emit('error', { source, message: err?.message || String(err), error: err });
+    }
+
+    getState() {
+      const d = this.detectorState();
+      const ok = d.quality.ok;
+      const round = v => (ok && v ? Math.round(v) : null);
+      const bpm = round(d.bpm);
+      return {
+        isListening: this.isListening,
+        isMonitoring: this.isMonitoring,
+        isRecording: this.isRecording,
+        mode: d.mode,
+        bpm,
+        rawBpm: d.bpm ? Math.round(d.bpm) : null,
+        range: classifyBpm(bpm),
+        confidence: d.confidence,
+        quality: { ...d.quality },
+        fetal: { bpm: round(d.fetal.bpm), confidence: d.fetal.confidence },
+        maternal: { bpm: round(d.maternal.bpm), confidence: d.maternal.confidence },
+        snr: d.snr,
+        status: this.status,
+        channelMode: this.channelMode,
+        activeChannel: this.router ? this.router.active : null,
+        denoise: {
+          active: !!this.denoiser,
+          strength: this.denoiseStrength(),
+          noiseCapturedAt: this.noiseProfile ? this.noiseProfile.capturedAt : null
+        },
+        sensitivity: this.sensitivity,
+        profile: { id: this.profile.id, name: this.profile.name, builtin: this.profile.builtin },
+        serverAnalysis: { enabled: !!this.ai.enabled, last: this.lastAnalysis },
+        sampleRate: this.audioContext ? this.audioContext.sampleRate : null
+      };
+    }
+
+    // ---------- UI Helpers ----------
+    setStatus(msg) {
+      this.status = msg;
+      if (this.els.status) this.els.status.textContent = msg;
+      this.emit('status', { message: msg });
+    }
+
+    updateSliderLabels() {
+      if (this.els.sensitivity && this.els.sensitivityValue) {
+        this.els.sensitivityValue.textContent = this.els.sensitivity.value;
+      }
+      if (this.els.filterFreq && this.els.filterValue) {
+        const f = this.profile.filter;
+        const hplp = f.type === 'hplp';
+        this.els.filterFreq.disabled = hplp;
+        this.els.filterValue.textContent = hplp
+          ? `${f.highpass}–${f.lowpass} Hz (high/low-pass, set in profile)`
+          : this.els.filterFreq.value + ' Hz';
+      }
+      if (this.els.monitorVol && this.els.monitorVolValue) {
+        this.els.monitorVolValue.textContent = this.els.monitorVol.value + '%';
+      }
+      if (this.els.denoiseStrength && this.els.denoiseValue) {
+        this.els.denoiseValue.textContent = this.els.denoiseStrength.value + '%';
+      }
+    }
+
+    bindUI() {
+      const e = this.els;
+
+      if (e.detectMode) {
+        this.setDetectionMode(e.detectMode.value);
+        e.detectMode.addEventListener('change', () => this.setDetectionMode(e.detectMode.value));
+      }
+
+      if (e.micType) e.micType.addEventListener('change', () => this.selectProfile(e.micType.value));
+      if (e.aiToggle) {
+        e.aiToggle.checked = !!this.ai.enabled;
+        e.aiToggle.disabled = !this.ai.endpoint;
+        e.aiToggle.addEventListener('change', () => this.setServerAnalysis(e.aiToggle.checked));
+      }
+      if (e.profileForm) e.profileForm.addEventListener('change', () => this.readProfileForm());
+      if (e.profileSave)   e.profileSave.addEventListener('click', () => this.saveCurrentProfile(false));
+      if (e.profileSaveAs) e.profileSaveAs.addEventListener('click', () => this.saveCurrentProfile(true));
+      if (e.profileDelete) e.profileDelete.addEventListener('click', () => this.deleteCurrentProfile());
+      if (e.profileExport) e.profileExport.addEventListener('click', () => this.exportCurrentProfile());
+      if (e.profileImport) {
+        e.profileImport.addEventListener('change', () => {
+          const file = e.profileImport.files?.[0];
+          e.profileImport.value = '';
+          if (file) this.importProfile(file);
+        });
+      }
+      this.renderProfileOptions();
+      this.selectProfile(getCurrentProfileId());
+
+      if (e.sensitivity) {
+        this.sensitivity = parseInt(e.sensitivity.value || '7', 10);
+        e.sensitivity.addEventListener('input', () => {
+          this.sensitivity = parseInt(e.sensitivity.value || '7', 10);
+          this.updateSliderLabels();
+          this.applyChainSettings();
+        });
+      }
+
+      if (e.filterFreq) {
+        e.filterFreq.addEventListener('input', () => {
+          this.updateSliderLabels();
+          this.applyChainSettings();
+        });
+      }
+
+      if (e.denoiseStrength) {
+        e.denoiseStrength.addEventListener('input', () => {
+          this.updateSliderLabels();
+          this.applyChainSettings();
+        });
+      }
+      if (e.captureNoise) e.captureNoise.addEventListener('click', () => this.captureNoise());
+      if (e.clearNoise)   e.clearNoise.addEventListener('click', () => this.clearNoise());
+      this.updateNoiseInfo();
+
+      if (e.monitorVol) {
+        e.monitorVol.addEventListener('input', () => {
+          this.updateSliderLabels();
+          this.applyMonitorVolume();
+        });
+      }
+
+      if (e.start)       e.start.addEventListener('click', () => this.startListening());
+      if (e.stop)        e.stop.addEventListener('click', () => this.stopListening());
+      if (e.monitor)     e.monitor.addEventListener('click', () => this.toggleMonitor());
+      if (e.playEnhanced) e.playEnhanced.addEventListener('click', () => this.playEnhanced());
+      if (e.keepsake) e.keepsake.addEventListener('click', () => this.createKeepsake());
+      if (e.record)      e.record.addEventListener('click', () => this.toggleRecording());
+      if (e.analyzeBtn) {
+        e.analyzeBtn.addEventListener('click', () => this.analyzeFile(e.analyzeFile?.files?.[0]));
+      }
+
+      if (this.pcg) {
+        if (e.pcgFreeze) e.pcgFreeze.addEventListener('click', () => this.setPcgFrozen(!this.pcg.frozen));
+        if (e.pcgScrub) {
+          e.pcgScrub.min = String(-(this.pcg.historySec - this.pcg.windowSec));
+          e.pcgScrub.addEventListener('input', () => {
+            this.pcg.scrub(-parseFloat(e.pcgScrub.value || '0'));
+            this.pcg.draw();
+          });
+        }
+        window.addEventListener('resize', () => this.pcg.draw());
+        this.pcg.draw();
+      }
+
+      this.setButtons();
+      this.updateBpmUI();
+      this.updateQualityUI(this.detector.quality);
+      this.applyMonitorLabel();
+    }
+
+    // ---------- Microphone profiles ----------
+    renderProfileOptions() {
+      const sel = this.els.micType;
+      if (!sel) return;
+      sel.textContent = '';
+      const all = listProfiles();
+      const groups = [['Built-in', all.filter(p => p.builtin)], ['My profiles', all.filter(p => !p.builtin)]];
+      for (const [label, list] of groups) {
+        if (!list.length) continue;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        for (const p of list) group.appendChild(new Option(p.name, p.id));
+        sel.appendChild(group);
+      }
+      sel.value = this.profile.id;
+    }
+
+    selectProfile(id) {
+      const p = getProfile(id) || getProfile(DEFAULT_PROFILE);
+      this.applyProfile(p);
+      setCurrentProfileId(p.id);
+    }
+
+    // Puts a profile's settings into the sliders, detector and (if running) the chain
+    applyProfile(profile) {
+      const p = normalizeProfile(profile);
+      p.id = profile.id;
+      p.builtin = !!profile.builtin;
+      this.profile = p;
+
+      const e = this.els;
+      if (e.micType && e.micType.value !== p.id) e.micType.value = p.id;
+      if (e.sensitivity) e.sensitivity.value = String(p.gain.sensitivity);
+      if (e.filterFreq) e.filterFreq.value = String(p.filter.hz);
+      if (e.denoiseStrength) e.denoiseStrength.value = String(Math.round(p.denoise.strength * 100));
+      this.sensitivity = p.gain.sensitivity;
+      this.setChannelMode(p.channel);
+      this.detector.setThresholds(p.detection);
+      if (this.pipeline) this.pipeline.setThresholds(p.detection);
+      this.setDetectionMode(p.detection.mode);
+
+      this.fillProfileForm();
+      this.updateSliderLabels();
+      this.applyChainSettings();
+      if (e.profileDelete) e.profileDelete.disabled = p.builtin;
+    }
+
+    // Form fields carry data-profile="section.key" (or "name"/"channel")
+    fillProfileForm() {
+      const form = this.els.profileForm;
+      if (!form) return;
+      for (const input of form.querySelectorAll('[data-profile]')) {
+        const [section, key] = input.dataset.profile.split('.');
+        const v = key ? this.profile[section][key] : this.profile[section];
+        input.value = v == null ? '' : String(v);
+      }
+    }
+
+    readProfileForm() {
+      const form = this.els.profileForm;
+      if (!form) return;
+      const next = JSON.parse(JSON.stringify(this.profile));
+      for (const input of form.querySelectorAll('[data-profile]')) {
+        const [section, key] = input.dataset.profile.split('.');
+        const v = input.type === 'number' ? parseFloat(input.value) : input.value;
+        if (key) next[section][key] = v;
+        else next[section] = v;
+      }
+      this.applyProfile(next);
+    }
+
+    // Current slider / mode values belong to the profile too
+    collectProfile() {
+      return {
+        ...this.profile,
+        gain: { ...this.profile.gain, sensitivity: this.sensitivity },
+        filter: { ...this.profile.filter, hz: parseInt(this.els.filterFreq?.value || this.profile.filter.hz, 10) },
+        denoise: { strength: this.denoiseStrength() },
+        detection: { ...this.profile.detection, mode: this.detector.mode }
+      };
+    }
+
+    // Built-ins are never overwritten; saving one makes a named copy
+    saveCurrentProfile(asNew) {
+      try {
+        const p = this.collectProfile();
+        if (asNew || p.builtin) {
+          const name = prompt('Profile name', p.builtin ? `${p.name} (my settings)` : `${p.name} copy`);
+          if (!name) return null;
+          p.name = name;
+          p.id = null;
+        }
+        const saved = saveProfile(p);
+        this.profile = saved;   // so the rebuilt select can show it
+        this.renderProfileOptions();
+        this.selectProfile(saved.id);
+        this.setStatus(`Profile "${saved.name}" saved.`);
+        return saved;
+      } catch (err) {
+        this.fail('profile', err);
+        this.setStatus('Profile error: ' + err.message);
+        return null;
+      }
+    }
+
+    deleteCurrentProfile() {
+      const p = this.profile;
+      if (p.builtin || !confirm(`Delete profile "${p.name}"?`)) return;
+      deleteProfile(p.id);
+      this.profile = getProfile(DEFAULT_PROFILE);
+      this.renderProfileOptions();
+      this.selectProfile(DEFAULT_PROFILE);
+      this.setStatus(`Profile "${p.name}" deleted.`);
+    }
+
+    exportCurrentProfile() {
+      const p = this.collectProfile();
+      const blob = new Blob([exportProfile(p)], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = p.name.replace(/[^\w-]+/g, '-').toLowerCase() + '.babybeat-profile.json';
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    async importProfile(file) {
+      try {
+        const saved = saveProfile(parseProfile(await file.text()));
+        this.renderProfileOptions();
+        this.selectProfile(saved.id);
+        this.setStatus(`Profile "${saved.name}" imported.`);
+        return saved;
+      } catch (err) {
+        this.fail('profile', err);
+        this.setStatus('Import error: ' + err.message);
+        return null;
+      }
+    }
+
+    setDetectionMode(mode) {
+      if (this.els.detectMode && this.els.detectMode.value !== mode) {
+        this.els.detectMode.value = mode;
+      }
+      if (!this.detector.setMode(mode)) return;
+      if (this.pipeline) this.pipeline.setMode(mode);
+      this.liveState = null;
+      this.updateBpmUI();
+    }
+
+    // What the detector currently reports: the worklet's last snapshot while
+    // listening, the local (idle) detector otherwise. Same field names either way.
+    detectorState() {
+      return this.liveState || this.detector;
+    }
+
+    // The BPM we're willing to show: 0 while signal quality is too low
+    get bpm() {
+      const d = this.detectorState();
+      return d.quality.ok ? d.bpm : 0;
+    }
+
+    // Frozen: the trace stops scrolling (data keeps coming in) and the
+    // scrub slider moves the window back in time
+    setPcgFrozen(on) {
+      if (!this.pcg) return;
+      this.pcg.setFrozen(on);
+      if (this.els.pcgFreeze) this.els.pcgFreeze.textContent = on ? '▶ Live' : '❄ Freeze';
+      if (this.els.pcgScrub) {
+        this.els.pcgScrub.disabled = !on;
+        this.els.pcgScrub.value = '0';
+      }
+      this.pcg.draw();
+    }
+
+    setButtons() {
+      if (!this.els) return;
+      if (this.els.start)       this.els.start.disabled       = this.isListening;
+      if (this.els.stop)        this.els.stop.disabled        = !this.isListening;
+      if (this.els.monitor)     this.els.monitor.disabled     = !this.isListening;
+      if (this.els.playEnhanced) this.els.playEnhanced.disabled = !this.isListening;
+      if (this.els.keepsake)    this.els.keepsake.disabled    = !this.keepsakeReady;
+      if (this.els.record)      this.els.record.disabled      = !this.isListening;
+      if (this.els.captureNoise) this.els.captureNoise.disabled = !this.denoiser || this.isCapturingNoise;
+      if (this.els.clearNoise)  this.els.clearNoise.disabled  = !this.noiseProfile;
+    }
+
+    applyMonitorLabel() {
+      if (!this.els.monitor) return;
+      this.els.monitor.textContent = this.isMonitoring ? '🎧 Monitor: On' : '🎧 Monitor: Off';
+    }
+
+    applyMonitorVolume() {
+      if (!this.monitorGain || !this.els.monitorVol) return;
+      const vol = parseInt(this.els.monitorVol.value || '0', 10);
+      const linear = clamp(vol / 100, 0, 1) * 0.7;
+      this.monitorGain.gain.value = this.isMonitoring ? linear : 0;
+    }
+
+    // ---------- Audio Chain ----------
+    // Builds gain → bandpass (or high-pass) → low-pass → hum notches →
+    // [denoiser] → compressor on any context (live or offline). Every stage
+    // always exists; switching filter type or turning the notch off just turns
+    // stages into all-passes, so the running graph never has to be rewired.
+    // The denoiser needs its worklet loaded first (see loadDenoiser).
+    buildAudioChain(ctx, withDenoiser = false) {
+      const chain = {
+        gain: ctx.createGain(),
+        bandpass: ctx.createBiquadFilter(),
+        lowpass: ctx.createBiquadFilter(),
+        notches: Array.from({ length: MAX_HARMONICS }, () => ctx.createBiquadFilter()),
+        denoiser: withDenoiser ? new Denoiser(ctx, { noise: this.noiseProfile }) : null,
+        compressor: ctx.createDynamicsCompressor()
+      };
+      this.configureChain(chain);
+
+      const stages = [chain.gain, chain.bandpass, chain.lowpass, ...chain.notches];
+      if (chain.denoiser) stages.push(chain.denoiser.node);
+      stages.push(chain.compressor);
+      for (let i = 1; i < stages.length; i++) stages[i - 1].connect(stages[i]);
+      return { ...chain, input: chain.gain, output: chain.compressor };
+    }
+
+    // Sliders + current profile → node parameters. With a time `at` (live
+    // changes) values glide there instead of jumping, which avoids clicks.
+    configureChain({ gain, bandpass, lowpass, notches, denoiser, compressor }, at = null) {
+      const p    = this.profile;
+      const f    = p.filter;
+      const sens = parseInt(this.els.sensitivity?.value || p.gain.sensitivity, 10);
+      const filt = parseInt(this.els.filterFreq?.value || f.hz, 10);
+      const set  = (param, v) => {
+        if (at == null) param.value = v;
+        else param.setTargetAtTime(v, at, PARAM_RAMP_SEC);
+      };
+
+      const linearGain = gainForSensitivity(p, sens);
+      set(gain.gain, linearGain);
+
+      if (f.type === 'hplp') {
+        bandpass.type = 'highpass';
+        set(bandpass.frequency, f.highpass);
+        set(bandpass.Q, Math.SQRT1_2);
+        lowpass.type = 'lowpass';
+        set(lowpass.frequency, f.lowpass);
+        set(lowpass.Q, Math.SQRT1_2);
+      } else {
+        bandpass.type = 'bandpass';
+        set(bandpass.frequency, filt);
+        set(bandpass.Q, f.q);
+        lowpass.type = 'allpass';
+      }
+
+      notches.forEach((n, i) => {
+        const hz = f.notch * (i + 1);
+        if (!f.notch || i >= f.notchHarmonics) {
+          n.type = 'allpass';
+          return;
+        }
+        n.type = 'notch';
+        set(n.frequency, hz);
+        set(n.Q, NOTCH_Q);
+      });
+
+      if (denoiser) {
+        denoiser.setStrength(this.denoiseStrength(), at);
+        denoiser.setGain(linearGain);
+      }
+
+      set(compressor.threshold, p.compressor.threshold);
+      set(compressor.knee,      p.compressor.knee);
+      set(compressor.ratio,     p.compressor.ratio);
+      set(compressor.attack,    p.compressor.attack);
+      set(compressor.release,   p.compressor.release);
+    }
+
+    // Sliders, profile edits and profile switches retune the running chain
+    applyChainSettings() {
+      if (!this.audioContext || !this.gainNode) return;
+      const chain = {
+        gain: this.gainNode, bandpass: this.bandpass, lowpass: this.lowpass,
+        notches: this.notches, denoiser: this.denoiser, compressor: this.compressor
+      };
+      this.configureChain(chain, this.audioContext.currentTime);
+      if (this.router) this.router.setFilter(...this.probeBand());
+    }
+
+    // Channel probes use one bandpass that covers the same band as the chain
+    probeBand() {
+      const f = this.profile.filter;
+      if (f.type !== 'hplp') return [parseInt(this.els.filterFreq?.value || f.hz, 10), f.q];
+      const centre = Math.sqrt(f.highpass * f.lowpass);
+      return [centre, centre / (f.lowpass - f.highpass)];
+    }
+
+    // ---------- Channel routing ----------
+    setChannelMode(mode) {
+      this.channelMode = mode;
+      if (this.router) this.router.setMode(mode);
+      this.emitChannel();
+    }
+
+    emitChannel() {
+      this.updateChannelInfo(true);
+      if (!this.router) return;
+      this.emit('channel', { mode: this.router.mode, active: this.router.active, snr: this.router.snr() });
+    }
+
+    updateChannelInfo(force) {
+      const el = this.els.channelInfo;
+      const now = Date.now();
+      if (!el || (!force && now - this.lastChannelInfoMs < 500)) return;
+      this.lastChannelInfoMs = now;
+      const r = this.router;
+      if (!r) {
+        el.textContent = `Channel: ${this.channelMode}`;
+        return;
+      }
+      if (r.channels === 1) {
+        el.textContent = 'Channel: mono mic';
+        return;
+      }
+      const snr = r.snr();
+      const using = r.mode === 'auto' ? `auto → ${r.active}` : r.active;
+      el.textContent = `Channel: ${using} (SNR L ${snr.left.toFixed(1)} dB · R ${snr.right.toFixed(1)} dB)`;
+    }
+
+    async setupAudioChain() {
+      const chain = this.buildAudioChain(this.audioContext, await this.denoiserAvailable(this.audioContext));
+      this.gainNode   = chain.gain;
+      this.bandpass   = chain.bandpass;
+      this.lowpass    = chain.lowpass;
+      this.notches    = chain.notches;
+      this.denoiser   = chain.denoiser;
+      this.compressor = chain.compressor;
+    }
+
+    // ---------- Noise reduction ----------
+    // Missing worklet support just means no denoiser, never a failed start
+    async denoiserAvailable(ctx) {
+      try {
+        return await loadDenoiser(ctx);
+      } catch (err) {
+        this.fail('denoise', err);
+        return false;
+      }
+    }
+
+    denoiseStrength() {
+      const el = this.els.denoiseStrength;
+      return el ? clamp(parseInt(el.value || '0', 10) / 100, 0, 1) : this.profile.denoise.strength;
+    }
+
+    // Records CAPTURE_SECONDS of background at the denoiser's input; the mic
+    // should be listening to the room only (not on the belly) meanwhile
+    async captureNoise() {
+      if (!this.denoiser || this.isCapturingNoise) return null;
+      this.isCapturingNoise = true;
+      this.setButtons();
+      this.setStatus(`Capturing room noise for ${CAPTURE_SECONDS} s… keep quiet and hold the mic away from the belly.`);
+      try {
+        this.noiseProfile = await this.denoiser.capture(CAPTURE_SECONDS);
+        saveNoiseProfile(this.noiseProfile);
+        this.setStatus('Room noise captured. Noise reduction is active.');
+        return this.noiseProfile;
+      } catch (err) {
+        this.fail('denoise', err);
+        this.setStatus('Noise capture failed: ' + err.message);
+        return null;
+      } finally {
+        this.isCapturingNoise = false;
+        this.setButtons();
+        this.updateNoiseInfo();
+      }
+    }
+
+    clearNoise() {
+      this.noiseProfile = null;
+      saveNoiseProfile(null);
+      if (this.denoiser) this.denoiser.setNoise(null);
+      this.setButtons();
+      this.updateNoiseInfo();
+    }
+
+    updateNoiseInfo() {
+      const el = this.els.noiseInfo;
+      if (!el) return;
+      const n = this.noiseProfile;
+      el.textContent = n
+        ? `Noise profile from ${new Date(n.capturedAt).toLocaleString()}`
+        : 'No noise profile yet: start listening, then capture room noise.';
+    }
+
+    prepareDetection(sampleRate) {
+      this.detector.configure(sampleRate);
+      this.liveState = null;
+    }
+
+    // Audio-clock ms (what the worklet stamps) → wall-clock ms
+    wallTime(clockMs) {
+      return this.clockOrigin + clockMs;
+    }
+
+    setupRecorder(stream) {
+      try {
+        const mime = MediaRecorder.isTypeSupported('audio/webm;codecs=opus')
+          ? 'audio/webm;codecs=opus'
+          : 'audio/webm';
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType: mime });
+        this.recChunks = [];
+
+        this.mediaRecorder.ondataavailable = e => {
+          if (e.data && e.data.size) this.recChunks.push(e.data);
+        };
+
+        this.mediaRecorder.onstop = () => {
+          const blob = new Blob(this.recChunks, { type: this.mediaRecorder.mimeType });
+          const url  = URL.createObjectURL(blob);
+          this.recChunks = [];
+          this.isRecording = false;
+          if (this.els.record) this.els.record.textContent = '⏺ Start Recording';
+          if (this.session) {
+            this.session.recordings.push({ at: Date.now() - this.session.startedAt, mimeType: blob.type, blob });
+          }
+          if (this.els.playbackAudio) this.els.playbackAudio.src = url;
+          if (this.els.downloadLink) {
+            this.els.downloadLink.href = url;
+            this.els.downloadLink.download = 'heartbeat.webm';
+          }
+          const exported = this.buildWavExport();
+          if (exported) {
+            if (this.els.downloadWav) {
+              this.els.downloadWav.href = URL.createObjectURL(exported.wav);
+              this.els.downloadWav.download = 'heartbeat.wav';
+            }
+            if (this.els.downloadJson) {
+              this.els.downloadJson.href = URL.createObjectURL(exported.sidecar);
+              this.els.downloadJson.download = 'heartbeat.beats.json';
+            }
+          }
+          if (this.els.playbackArea) this.els.playbackArea.style.display = 'block';
+          this.emit('recording', {
+            state: 'stopped',
+            blob,
+            url,
+            mimeType: blob.type,
+            wav: exported ? exported.wav : null,
+            sidecar: exported ? exported.sidecar : null
+          });
+        };
+      } catch (e) {
+        console.warn('Recorder unavailable', e);
+        if (this.els.record) this.els.record.disabled = true;
+        this.emit('error', { source: 'recorder', message: 'Recorder unavailable', error: e });
+      }
+    }
+
+    // Encodes the PCM captured while recording, with beats as cue markers
+    buildWavExport() {
+      const chunks = this.pcmChunks;
+      this.pcmChunks = [];
+      const length = chunks.reduce((n, ch) => n + ch.length, 0);
+      if (!length) return null;
+
+      const samples = new Float32Array(length);
+      let offset = 0;
+      for (const ch of chunks) { samples.set(ch, offset); offset += ch.length; }
+
+      const sr = this.detector.sampleRate;
+      const beats = this.recBeats.filter(b => b.sample >= 0 && b.sample < length);
+      const bpms = beats.map(b => b.bpm).filter(Boolean);
+      const bpm = bpms.length
+        ? { mean: Math.round(bpms.reduce((a, b) => a + b, 0) / bpms.length), min: Math.min(...bpms), max: Math.max(...bpms) }
+        : null;
+      const mode = this.detector.mode;
+
+      const wav = encodeWav(samples, sr, {
+        cues: beats.map((b, i) => ({ sample: b.sample, label: b.bpm ? `Beat ${i + 1} (${b.bpm} BPM)` : `Beat ${i + 1}` })),
+        info: {
+          INAM: 'BabyBeat heartbeat',
+          ICRD: new Date(this.recStartMs).toISOString().slice(0, 10),
+          ISFT: 'BabyBeat',
+          ICMT: `BPM ${bpm ? `${bpm.mean} (min ${bpm.min}, max ${bpm.max})` : '--'}; ${beats.length} beats; ${mode} detector. ` +
+            'Educational use only, not a medical device.'
+        }
+      });
+      const sidecar = buildSidecar({ sampleRate: sr, length, beats, startedAt: this.recStartMs, mode, bpm, wavFile: 'heartbeat.wav' });
+
+      return {
+        wav: new Blob([wav], { type: 'audio/wav' }),
+        sidecar: new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' })
+      };
+    }
+
+    async startListening() {
+      try {
+        this.setStatus('Requesting microphone access…');
+
+        if (!navigator.mediaDevices?.getUserMedia) {
+          throw new Error('getUserMedia not supported. Use HTTPS or localhost.');
+        }
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+          audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: 48000,
+            channelCount: 2
+          }
+        });
+
+        if (!this.audioContext) {
+          this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+          await this.audioContext.resume();
+        }
+        if (!(await loadPipeline(this.audioContext))) {
+          throw new Error('Live detection needs AudioWorklet support. Use a current Chrome, Edge, Firefox or Safari.');
+        }
+
+        this.microphone = this.audioContext.createMediaStreamSource(stream);
+        await this.setupAudioChain();
+
+        const track = stream.getAudioTracks()[0];
+        this.router = new ChannelRouter(this.audioContext, this.microphone, {
+          mode: this.channelMode,
+          channels: track?.getSettings?.().channelCount,
+          filterHz: this.probeBand()[0],
+          q: this.probeBand()[1]
+        });
+
+        this.monitorGain = this.audioContext.createGain();
+        this.monitorGain.gain.value = parseInt(this.els.monitorVol?.value || '30', 10) / 100;
+
+        // Chain: mic → channel router → gain → filters → hum notch → denoiser → compressor
+        this.router.output.connect(this.gainNode);
+        this.emitChannel();
+
+        // Monitor (off by default)
+        this.compressor.connect(this.monitorGain);
+        this.monitorGain.connect(this.audioContext.destination);
+        this.monitorGain.disconnect(this.audioContext.destination);
+        this.isMonitoring = false;
+        this.applyMonitorLabel();
+
+        // Recorder
+        this.mediaDest = this.audioContext.createMediaStreamDestination();
+        this.compressor.connect(this.mediaDest);
+        this.setupRecorder(this.mediaDest.stream);
+
+        // Detection worklet: the processed signal plus the router's per-side
+        // probes. Its frames also feed the recent-audio ring and the WAV export.
+        this.prepareDetection(this.audioContext.sampleRate);
+        this.pipeline = new DetectionPipeline(this.audioContext, {
+          mode: this.detector.mode,
+          thresholds: this.profile.detection,
+          onFrame: msg => this.onFrame(msg)
+        });
+        this.compressor.connect(this.pipeline.node, 0, 0);
+        this.router.probe.connect(this.pipeline.node, 0, 1);
+        this.clockOrigin = Date.now() - this.audioContext.currentTime * 1000;
+        this.recent = new SampleRing(Math.floor(this.audioContext.sampleRate * RECENT_SECONDS));
+        this.keepsakeRing = new SampleRing(Math.floor(this.audioContext.sampleRate * KEEPSAKE_BUF_SEC));
+        this.keepsakeBeats = [];
+        this.samplesSeen = 0;
+        this.keepsakeReady = false;
+        if (this.pcg) {
+          this.setPcgFrozen(false);
+          this.pcg.clear();
+        }
+
+        this.isListening = true;
+        this.setButtons();
+        this.setStatus('Listening for heartbeat… (move mic slowly, use headphones for monitor)');
+        this.updateBpmUI();
+        this.beginSession();
+        this.startAnalysis();
+
+        this.drawLoop();
+      } catch (err) {
+        this.fail('microphone', err);
+        this.setStatus('Error: ' + err.message);
+        this.isListening = false;
+        this.setButtons();
+      }
+    }
+
+    // ---------- Processing ----------
+    // One worklet frame: frameSizeFor(sampleRate) consecutive samples, the detector's result
+    // for them and its state afterwards. Timestamps are audio-clock ms.
+    onFrame(msg) {
+      if (this.isRecording) {
+        const sr = this.detector.sampleRate;
+        if (this.recStartClock === null) this.recStartClock = msg.time - (msg.samples.length / sr) * 1000;
+        this.pcmChunks.push(msg.samples);
+      }
+      if (!this.isListening) return;
+
+      this.recent.write(msg.samples);
+      this.keepsakeRing.write(msg.samples);
+      this.samplesSeen += msg.samples.length;
+      let sum = 0;
+      for (let i = 0; i < msg.samples.length; i++) sum += Math.abs(msg.samples[i]);
+      this.level = sum / msg.samples.length;
+
+      const res = msg.res;
+      this.liveState = msg.state;
+      const now = this.wallTime(msg.time);
+      if (this.router.update(msg.sides, now)) {
+        this.setStatus(`Switched to the ${this.router.active} channel (clearer heartbeat).`);
+        this.emitChannel();
+      } else {
+        this.updateChannelInfo(false);
+      }
+
+      this.applyDetection(res);
+      if (res.quality.ok) this.noteKeepsakeBeats(res.beats, msg.time);
+      this.recordSession(res, now);
+      if (this.pcg) this.pcg.push(res.envelope, msg.time);
+
+      if (this.analysis) this.analysis.push(msg.samples);
+    }
+
+    // Drawing only; detection doesn't depend on it (rAF pauses in background tabs)
+    drawLoop() {
+      if (!this.isListening) return;
+
+      // Simple visual: height + glow
+      if (this.els.waveform) {
+        const h = Math.min(this.level * 100, 50);
+        this.els.waveform.style.height = h + 'px';
+        this.els.waveform.style.boxShadow = `0 0 ${h}px rgba(255,127,127,.45)`;
+      }
+      if (this.pcg && !this.pcg.frozen) this.pcg.draw();
+
+      requestAnimationFrame(() => this.drawLoop());
+    }
+
+    // Reflects one detector step in the UI and in events
+    applyDetection(res) {
+      if (res.beats.length) this.pulseAnimation();
+      for (const b of res.beats) {
+        const bpm = this.bpm ? Math.round(this.bpm) : null;
+        if (this.pcg) this.pcg.markBeat(b.ts);
+        this.emit('beat', {
+          timestamp: this.wallTime(b.ts), audioTime: b.ts / 1000,
+          peak: b.peak, snr: b.snr, quality: b.quality, bpm, range: classifyBpm(bpm)
+        });
+        if (this.isRecording && this.recStartClock !== null) {
+          const sample = Math.round(((b.ts - this.recStartClock) / 1000) * this.detector.sampleRate);
+          this.recBeats.push({ sample, bpm });
+        }
+      }
+
+      this.updateQualityUI(res.quality);
+      const gateChanged = res.quality.ok !== this.lastQualityOk;
+      this.lastQualityOk = res.quality.ok;
+
+      if (res.updated || gateChanged) {
+        this.updateBpmUI();
+        const label = this.statusLabel();
+        if (label) this.setStatus(label + ' Educational use only, not a medical device.');
+        else if (res.bpm) this.setStatus(this.lowQualityLabel(res.quality));
+      }
+
+      if (res.cleared) {
+        this.updateBpmUI();
+        this.setStatus('Listening… (no consistent heartbeat detected yet)');
+      }
+
+      if (res.updated || res.cleared || gateChanged) this.emitBpm();
+    }
+
+    // Names the weakest part of the score so the user knows what to fix
+    lowQualityLabel(q) {
+      let why = 'the rhythm is irregular';
+      if (q.clipping > 0.005) why = 'the input is clipping — lower the sensitivity';
+      else if (q.snr < 2) why = 'the signal is buried in noise — try another spot or less background sound';
+      return `Listening… signal quality too low to show a BPM (${why}).`;
+    }
+
+    // 'bpm' fires when the rounded reading changes, 'classification' when
+    // the range it falls into does
+    emitBpm() {
+      const s = this.getState();
+      const key = `${s.bpm}|${s.fetal.bpm}|${s.maternal.bpm}`;
+      if (key !== this.lastBpmKey) {
+        this.lastBpmKey = key;
+        this.emit('bpm', {
+          bpm: s.bpm,
+          rawBpm: s.rawBpm,
+          range: s.range,
+          confidence: s.confidence,
+          quality: s.quality.score,
+          mode: s.mode,
+          fetal: s.fetal,
+          maternal: s.maternal
+        });
+      }
+      if (s.range !== this.lastRange) {
+        const previous = this.lastRange;
+        this.lastRange = s.range;
+        this.emit('classification', { range: s.range, previous, bpm: s.bpm, label: this.statusLabel() });
+      }
+    }
+
+    // ---------- Session log ----------
+    beginSession() {
+      const startedAt = Date.now();
+      this.session = {
+        id: `${startedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        startedAt,
+        endedAt: null,
+        micProfile: this.profile.id,
+        micLabel: this.profile.name,
+        mode: this.detector.mode,
+        bpmSeries: [],          // { t: ms since start, bpm, quality, fetal?, maternal? }
+        beats: [],              // ms since start
+        recordings: []          // { at, mimeType, blob }
+      };
+      this.lastSeriesMs = 0;
+      this.emit('session', { state: 'started', id: this.session.id });
+    }
+
+    recordSession(res, now) {
+      const s = this.session;
+      if (!s) return;
+      for (const b of res.beats) s.beats.push(Math.round(this.wallTime(b.ts) - s.startedAt));
+
+      if (now - this.lastSeriesMs < SERIES_EVERY_MS) return;
+      this.lastSeriesMs = now;
+      const state = this.getState();
+      const point = { t: now - s.startedAt, bpm: state.bpm, quality: +state.quality.score.toFixed(2) };
+      if (state.mode === 'dual') {
+        point.fetal = state.fetal.bpm;
+        point.maternal = state.maternal.bpm;
+      }
+      s.bpmSeries.push(point);
+    }
+
+    endSession() {
+      const s = this.session;
+      if (!s) return;
+      this.session = null;
+      s.endedAt = Date.now();
+      this.emit('session', { state: 'ended', session: s });
+    }
+
+    statusLabel() {
+      const d = this.detectorState();
+      if (!d.quality.ok) return '';
+      if (d.mode === 'dual') {
+        const parts = [];
+        if (d.fetal.bpm) parts.push(`fetal-like ~${Math.round(d.fetal.bpm)} BPM`);
+        if (d.maternal.bpm) parts.push(`maternal ~${Math.round(d.maternal.bpm)} BPM`);
+        if (!parts.length) return '';
+        const label = parts.join(' and ');
+        return label[0].toUpperCase() + label.slice(1) + ' detected.';
+      }
+
+      // Label logic is derived from the ONE bpm value:
+      if (!d.bpm) return '';
+      const rounded = Math.round(d.bpm);
+      const range = classifyBpm(d.bpm);
+      if (range === 'fetal') {
+        return `Fetal-like heartbeat detected: ~${rounded} BPM (typical fetal range).`;
+      }
+      if (range === 'maternal') {
+        return `Heartbeat ~${rounded} BPM — this may be maternal (mum's heart).`;
+      }
+      return `Heartbeat candidate: ~${rounded} BPM (outside typical fetal/maternal ranges; could be noise).`;
+    }
+
+    pulseAnimation() {
+      const p = this.els.pulse;
+      if (!p) return;
+      p.style.animation = 'heartbeat .6s ease-in-out';
+      setTimeout(() => { p.style.animation = 'none'; }, 600);
+    }
+
+    updateBpmUI() {
+      if (this.detector.mode === 'dual') {
+        this.updateDualUI();
+        return;
+      }
+
+      const bpm = this.bpm ? Math.round(this.bpm) : null;
+
+      if (this.els.bpm) {
+        this.els.bpm.textContent = bpm ? `${bpm} BPM` : '-- BPM';
+      }
+
+      // We use bpmMaternal as a *label* instead of a second number:
+      if (this.els.bpmMaternal) {
+        const range = classifyBpm(bpm);
+        if (!bpm) {
+          this.els.bpmMaternal.textContent = '—';
+        } else if (range === 'fetal') {
+          this.els.bpmMaternal.textContent = '✓ In typical fetal range';
+        } else if (range === 'maternal') {
+          this.els.bpmMaternal.textContent = '⚠ Might be maternal (mum’s heart)';
+        } else {
+          this.els.bpmMaternal.textContent = '… Outside typical fetal/maternal ranges';
+        }
+      }
+      if (this.els.bpmDetail) this.els.bpmDetail.textContent = '';
+    }
+
+    updateQualityUI(q) {
+      const pct = Math.round(q.score * 100);
+      if (pct === this.lastQualityPct) return;
+      this.lastQualityPct = pct;
+      if (this.els.qualityBar) {
+        this.els.qualityBar.style.width = pct + '%';
+        this.els.qualityBar.style.background = q.score >= this.detector.qualityMin ? '#5eead4' : '#ff9670';
+      }
+      if (this.els.qualityValue) this.els.qualityValue.textContent = `Signal quality: ${pct}%`;
+    }
+
+    // Dual mode: bpm shows the fetal estimate, bpmMaternal the maternal one
+    updateDualUI() {
+      const { fetal, maternal, quality } = this.detectorState();
+      const f = quality.ok && fetal.bpm ? Math.round(fetal.bpm) : null;
+      const m = quality.ok && maternal.bpm ? Math.round(maternal.bpm) : null;
+
+      if (this.els.bpm) {
+        this.els.bpm.textContent = f ? `${f} BPM` : '-- BPM';
+      }
+      if (this.els.bpmMaternal) {
+        this.els.bpmMaternal.textContent = m ? `Maternal: ${m} BPM` : 'Maternal: --';
+      }
+      if (this.els.bpmDetail) {
+        const pct = c => `${Math.round(c * 100)}%`;
+        this.els.bpmDetail.textContent = (f || m)
+          ? `Confidence — fetal ${f ? pct(fetal.confidence) : '--'}, maternal ${m ? pct(maternal.confidence) : '--'}`
+          : '';
+      }
+    }
+
+    // ---------- Monitor / Recording ----------
+    toggleMonitor() {
+      if (!this.monitorGain || !this.audioContext) return;
+      if (this.isMonitoring) {
+        try { this.monitorGain.disconnect(this.audioContext.destination); } catch {}
+        this.isMonitoring = false;
+      } else {
+        try { this.monitorGain.connect(this.audioContext.destination); } catch {}
+        this.isMonitoring = true;
+      }
+      this.applyMonitorLabel();
+      this.applyMonitorVolume();
+    }
+
+    async toggleRecording() {
+      if (!this.mediaRecorder) {
+        if (this.mediaDest) this.setupRecorder(this.mediaDest.stream);
+      }
+      if (!this.mediaRecorder) return;
+
+      if (this.mediaRecorder.state === 'recording') {
+        this.mediaRecorder.stop();
+        this.isRecording = false;
+        if (this.els.record) this.els.record.textContent = '⏺ Start Recording';
+        this.setStatus('Recording stopped');
+      } else {
+        this.recChunks = [];
+        this.pcmChunks = [];
+        this.recBeats = [];
+        this.recStartMs = Date.now();
+        this.recStartClock = null;
+        this.mediaRecorder.start(100);
+        this.isRecording = true;
+        if (this.els.record) this.els.record.textContent = '⏹ Stop Recording';
+        this.setStatus('Recording…');
+        this.emit('recording', { state: 'started', mimeType: this.mediaRecorder.mimeType });
+      }
+    }
+
+    async stopListening() {
+      this.isListening = false;
+
+      // Let an active recording finish first so it lands in the session
+      if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+        await new Promise(resolve => {
+          this.mediaRecorder.addEventListener('stop', resolve, { once: true });
+          try { this.mediaRecorder.stop(); } catch { resolve(); }
+        });
+      }
+
+      const nodes = [
+        this.microphone,
+        this.gainNode,
+        this.bandpass,
+        this.lowpass,
+        ...this.notches,
+        this.compressor,
+        this.monitorGain
+      ];
+      nodes.forEach(n => { try { n && n.disconnect && n.disconnect(); } catch {} });
+      if (this.router) {
+        this.router.disconnect();
+        this.router = null;
+      }
+      this.updateChannelInfo(true);
+      if (this.pipeline) {
+        this.pipeline.disconnect();
+        this.pipeline = null;
+      }
+      if (this.denoiser) {
+        this.denoiser.disconnect();
+        this.denoiser = null;
+      }
+
+      if (this.audioContext) {
+        try {
+          if (this.audioContext.state !== 'closed') await this.audioContext.close();
+        } catch {}
+        this.audioContext = null;
+      }
+
+      if (this.mediaDest && this.mediaDest.stream) {
+        this.mediaDest.stream.getTracks().forEach(t => { try { t.stop(); } catch {} });
+      }
+
+      if (this._previewSource) {
+        try { this._previewSource.stop(); } catch {}
+        try { this._previewSource.disconnect(); } catch {}
+        this._previewSource = null;
+      }
+      if (this._previewGain) {
+        try { this._previewGain.disconnect(); } catch {}
+        this._previewGain = null;
+      }
+
+      this.recent.clear();
+      this.level = 0;
+      this.isMonitoring = false;
+      this.applyMonitorLabel();
+
+      this.detector.reset();
+      this.liveState = null;
+      this.lastQualityOk = false;
+      this.updateQualityUI(this.detector.quality);
+      this.updateBpmUI();
+      this.emitBpm();
+      this.setButtons();
+
+      if (this.els.waveform) {
+        this.els.waveform.style.height = '2px';
+        this.els.waveform.style.boxShadow = 'none';
+      }
+      this.setStatus('Stopped listening');
+      this.stopAnalysis();
+      this.endSession();
+    }
+
+    // ---------- Enhanced Playback ----------
+    async playEnhanced() {
+      try {
+        if (!this.audioContext) {
+          this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+          await this.audioContext.resume();
+        }
+
+        if (this._previewSource) {
+          try { this._previewSource.stop(); } catch {}
+          try { this._previewSource.disconnect(); } catch {}
+          this._previewSource = null;
+        }
+        if (this._previewGain) {
+          try { this._previewGain.disconnect(); } catch {}
+          this._previewGain = null;
+        }
+
+        const sr = this.audioContext.sampleRate;
+        const enough = this.recent.length > Math.floor(sr * 0.3);
+        const avg = this.averagedBeat();
+        let buffer;
+        let loops = 6;
+
+        if (avg) {
+          // Averaged heartbeats, already stitched at the measured tempo
+          const rate = this.detector.sampleRate;
+          const data = stitchBeats(avg, (PREVIEW_BEATS * avg.period) / rate, rate);
+          buffer = this.audioContext.createBuffer(1, data.length, rate);
+          buffer.copyToChannel(data, 0, 0);
+          loops = 1;
+        } else if (enough) {
+          const takeSec = 0.8;
+          const slice = this.recent.latest(Math.floor(sr * takeSec));
+          const len = slice.length;
+          let maxA = 0;
+          for (let i = 0; i < slice.length; i++) {
+            const a = Math.abs(slice[i]);
+            if (a > maxA) maxA = a;
+          }
+          const norm = maxA > 0 ? 0.9 / maxA : 1;
+          const fade = Math.floor(0.02 * sr);
+          const data = new Float32Array(len);
+          for (let i = 0; i < len; i++) {
+            let s = slice[i] * norm;
+            if (i < fade) s *= i / fade;
+            if (i > len - fade) s *= (len - i) / fade;
+            data[i] = s;
+          }
+          buffer = this.audioContext.createBuffer(1, len, sr);
+          buffer.copyToChannel(data, 0, 0);
+        } else {
+          const duration = 0.25;
+          const len = Math.floor(duration * sr);
+          buffer = this.audioContext.createBuffer(1, len, sr);
+          const data = buffer.getChannelData(0);
+          for (let i = 0; i < len; i++) {
+            const t = i / sr;
+            let a = 0;
+            if (t < 0.08) a = Math.sin(t * 80 * Math.PI) * Math.exp(-t * 20);
+            else if (t > 0.12 && t < 0.20) {
+              const t2 = t - 0.12;
+              a = Math.sin(t2 * 120 * Math.PI) * Math.exp(-t2 * 30) * 0.7;
+            }
+            data[i] = a * 0.9;
+          }
+        }
+
+        const sens = parseInt(this.els.sensitivity?.value || '7', 10);
+        this._previewGain = this.audioContext.createGain();
+        this._previewGain.gain.value = 0.15 + sens * 0.09;
+        this._previewGain.connect(this.audioContext.destination);
+
+        const bpmForLoop = (this.bpm && this.bpm >= 80 && this.bpm <= 200) ? this.bpm : 140;
+        const iv = 60 / bpmForLoop;
+        const now = this.audioContext.currentTime;
+
+        for (let n = 0; n < loops; n++) {
+          const src = this.audioContext.createBufferSource();
+          src.buffer = buffer;
+          src.connect(this._previewGain);
+          src.start(now + n * iv);
+          if (n === loops - 1) this._previewSource = src;
+        }
+
+        this.setStatus(avg
+          ? `Playing ${avg.used} heartbeats averaged into one…`
+          : 'Playing enhanced heartbeat snippet…');
+      } catch (err) {
+        this.fail('playback', err);
+        this.setStatus('Playback error: ' + err.message);
+      }
+    }
+
+    // ---------- Keepsake ----------
+    // Beats count only while the signal quality gate is open, so the average
+    // isn't built from noise the detector mistook for beats
+    noteKeepsakeBeats(beats, frameEndMs) {
+      const sr = this.detector.sampleRate;
+      for (const b of beats) {
+        this.keepsakeBeats.push(this.samplesSeen - Math.round(((frameEndMs - b.ts) / 1000) * sr));
+      }
+      const oldest = this.samplesSeen - this.keepsakeRing.length;
+      while (this.keepsakeBeats.length && this.keepsakeBeats[0] < oldest) this.keepsakeBeats.shift();
+
+      const ready = this.keepsakeBeats.length >= KEEPSAKE_MIN_BEATS;
+      if (ready !== this.keepsakeReady) {
+        this.keepsakeReady = ready;
+        this.setButtons();
+      }
+    }
+
+    // Kept audio and its beats as indices into it
+    keepsakeSource() {
+      const samples = this.keepsakeRing.latest(this.keepsakeRing.length);
+      const offset = this.samplesSeen - samples.length;
+      return { samples, beats: this.keepsakeBeats.map(b => b - offset).filter(b => b >= 0) };
+    }
+
+    averagedBeat() {
+      if (!this.keepsakeReady) return null;
+      const { samples, beats } = this.keepsakeSource();
+      return averageBeats(samples, this.detector.sampleRate, beats, { bpm: this.bpm });
+    }
+
+    // Builds the keepsake track from the last KEEPSAKE_BUF_SEC of listening
+    // and offers it for playback and download as WAV
+    createKeepsake(seconds = KEEPSAKE_SECONDS) {
+      const sr = this.detector.sampleRate;
+      const { samples, beats } = this.keepsakeSource();
+      const k = this.keepsakeReady ? buildKeepsake(samples, sr, beats, { seconds, bpm: this.bpm }) : null;
+      if (!k) {
+        this.setStatus(`Not enough clear heartbeats for a keepsake yet (at least ${KEEPSAKE_MIN_BEATS} with good signal quality). Keep listening.`);
+        return null;
+      }
+
+      const wav = new Blob([encodeWav(k.samples, sr, {
+        info: {
+          INAM: 'BabyBeat keepsake',
+          ICRD: new Date().toISOString().slice(0, 10),
+          ISFT: 'BabyBeat',
+          ICMT: `${k.used} heartbeats averaged, ${k.bpm} BPM. Not a medical recording.`
+        }
+      })], { type: 'audio/wav' });
+      if (this.keepsakeUrl) URL.revokeObjectURL(this.keepsakeUrl);
+      const url = this.keepsakeUrl = URL.createObjectURL(wav);
+
+      if (this.els.keepsakeAudio) this.els.keepsakeAudio.src = url;
+      if (this.els.downloadKeepsake) {
+        this.els.downloadKeepsake.href = url;
+        this.els.downloadKeepsake.download = 'heartbeat-keepsake.wav';
+      }
+      if (this.els.keepsakeArea) this.els.keepsakeArea.style.display = 'block';
+      this.setStatus(`Keepsake ready: ${k.used} heartbeats averaged into ${k.durationSec} s at ${k.bpm} BPM.`);
+      const result = { blob: wav, url, bpm: k.bpm, beats: k.used, durationSec: k.durationSec };
+      this.emit('keepsake', result);
+      return result;
+    }
+
+    // ---------- Offline analysis ----------
+    async analyzeFile(file) {
+      if (!file) {
+        this.setAnalyzeResult('Choose a WAV, WebM, MP3 or M4A file first.');
+        return null;
+      }
+      if (this.els.analyzeBtn) this.els.analyzeBtn.disabled = true;
+      try {
+        const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineCtx) throw new Error('OfflineAudioContext not supported in this browser.');
+
+        this.setAnalyzeResult(`Decoding ${file.name}…`);
+        const bytes   = await file.arrayBuffer();
+        const decoded = await new OfflineCtx(1, 1, FILE_SAMPLE_RATE).decodeAudioData(bytes);
+
+        // Same chain as live listening, rendered down to mono like the live pipeline
+        this.setAnalyzeResult(`Analyzing ${file.name}…`);
+        const ctx   = new OfflineCtx(1, decoded.length, decoded.sampleRate);
+        const chain = this.buildAudioChain(ctx, !!this.noiseProfile && await this.denoiserAvailable(ctx));
+        const src   = ctx.createBufferSource();
+        src.buffer = decoded;
+        // Auto needs live feedback, so files fall back to the mix
+        const router = new ChannelRouter(ctx, src, {
+          mode: this.channelMode === 'auto' ? 'mix' : this.channelMode,
+          channels: decoded.numberOfChannels
+        });
+        router.output.connect(chain.input);
+        chain.output.connect(ctx.destination);
+        src.start();
+        const rendered = await ctx.startRendering();
+
+        const result = analyzeSamples(rendered.getChannelData(0), rendered.sampleRate, {
+          mode: this.detector.mode,
+          thresholds: this.profile.detection
+        });
+        result.fileName = file.name;
+        this.renderAnalysis(result);
+        return result;
+      } catch (err) {
+        this.fail('analysis', err);
+        this.setAnalyzeResult('Analysis error: ' + err.message);
+        return null;
+      } finally {
+        if (this.els.analyzeBtn) this.els.analyzeBtn.disabled = false;
+      }
+    }
+
+    setAnalyzeResult(msg) {
+      if (this.els.analyzeResult) this.els.analyzeResult.textContent = msg;
+    }
+
+    renderAnalysis(result) {
+      const box = this.els.analyzeResult;
+      if (!box) return;
+      box.textContent = '';
+
+      const bpms = result.series.map(p => p.bpm).filter(Boolean);
+      const summary = document.createElement('p');
+      summary.textContent =
+        `${result.fileName}: ${result.durationSec.toFixed(1)} s, ${result.beats.length} beats, ` +
+        (bpms.length ? `median ${median(bpms)} BPM (${Math.min(...bpms)}–${Math.max(...bpms)})` : 'no stable BPM') +
+        ` — ${result.mode} detector.`;
+      box.appendChild(summary);
+
+      const table = document.createElement('table');
+      table.className = 'analysis-table';
+      const dual = result.mode === 'dual';
+      const head = table.insertRow();
+      (dual ? ['Time', 'Fetal', 'Maternal', 'Quality'] : ['Time', 'BPM', 'Quality']).forEach(h => {
+        const th = document.createElement('th');
+        th.textContent = h;
+        head.appendChild(th);
+      });
+      for (const p of result.series) {
+        const row = table.insertRow();
+        const quality = `${Math.round(p.quality * 100)}%`;
+        const cells = dual
+          ? [formatTime(p.t), p.fetal || '--', p.maternal || '--', quality]
+          : [formatTime(p.t), p.bpm || '--', quality];
+        cells.forEach(v => { row.insertCell().textContent = String(v); });
+      }
+      box.appendChild(table);
+
+      const beats = document.createElement('details');
+      const title = document.createElement('summary');
+      title.textContent = `Beat list (${result.beats.length})`;
+      beats.appendChild(title);
+      const list = document.createElement('p');
+      list.textContent = result.beats.map(b => b.t.toFixed(2) + ' s').join(', ') || 'No beats detected.';
+      beats.appendChild(list);
+      box.appendChild(beats);
+
+      const json = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(json);
+      link.download = result.fileName.replace(/\.[^.]+$/, '') + '-analysis.json';
+      link.textContent = 'Download results (JSON)';
+      box.appendChild(link);
+    }
+
+    // ---------- Server analysis (AI hook) ----------
+    // Streams the processed audio to ai.endpoint (/api/analyze) while
+    // listening; its estimate is shown next to the local one. Off unless
+    // ai.enabled, since audio leaves the device.
+    startAnalysis() {
+      this.stopAnalysis();
+      if (!this.ai.enabled || !this.ai.endpoint || !this.isListening || !this.session) return;
+      this.analysis = new AnalysisClient({
+        endpoint: this.ai.endpoint,
+        session: this.session.id,
+        sampleRate: this.audioContext.sampleRate,
+        onResult: r => this.onAnalysis(r),
+        onError: err => {
+          this.fail('server', err);
+          if (this.els.aiInfo) this.els.aiInfo.textContent = `Server check: ${err.message}`;
+        }
+      });
+      if (this.els.aiInfo) this.els.aiInfo.textContent = 'Server check: analysing…';
+    }
+
+    stopAnalysis() {
+      if (this.analysis) this.analysis.close();
+      this.analysis = null;
+      this.lastAnalysis = null;
+      if (this.els.aiInfo) this.els.aiInfo.textContent = '';
+    }
+
+    setServerAnalysis(enabled) {
+      this.ai = { ...this.ai, enabled: !!enabled };
+      if (this.els.aiToggle) this.els.aiToggle.checked = this.ai.enabled;
+      if (this.ai.enabled) this.startAnalysis();
+      else this.stopAnalysis();
+    }
+
+    onAnalysis(r) {
+      const localBpm = this.getState().bpm;
+      this.lastAnalysis = { ...r, localBpm };
+      if (this.els.aiInfo) {
+        const here = localBpm ? ` · here: ${localBpm} BPM` : '';
+        this.els.aiInfo.textContent = r.bpm
+          ? `Server check: ${r.bpm} BPM (${r.label}, ${Math.round(r.confidence * 100)}% confidence)${here}`
+          : `Server check: no clear heartbeat yet${here}`;
+      }
+      this.emit('analysis', this.lastAnalysis);
+    }
+  }
+
+  // ----- Shared helpers -----
+  function mapSelectors(map) {
+    const out = {};
+    for (const k of Object.keys(map)) {
+      const sel = map[k];
+      out[k] = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    }
+    return out;
+  }
+
+  function median(values) {
+    const s = [...values].sort((a, b) => a - b);
+    const mid = s.length >> 1;
+    return s.length % 2 ? s[mid] : Math.round((s[mid - 1] + s[mid]) / 2);
+  }
+
+  function formatTime(sec) {
+    const m = Math.floor(sec / 60);
+    const s = Math.floor(sec % 60);
+    return `${m}:${String(s).padStart(2, '0')}`;
+  }
+
+  // ----- Instance + Public API -----
+  const engine = new BabyBeatEngine(els, aiConfig);
+
+  return {
+    start: () => engine.startListening(),
+    stop: () => engine.stopListening(),
+    toggleMonitor: () => engine.toggleMonitor(),
+    startRecording: () => engine.toggleRecording(),
+    stopRecording: () => engine.toggleRecording(),
+    setSensitivity: (v) => {
+      if (engine.els.sensitivity) engine.els.sensitivity.value = String(v);
+      engine.sensitivity = v;
+      engine.updateSliderLabels();
+      engine.applyChainSettings();
+    },
+    setFilterHz: (hz) => {
+      if (engine.els.filterFreq) engine.els.filterFreq.value = String(hz);
+      engine.updateSliderLabels();
+      engine.applyChainSettings();
+    },
+    setDenoiseStrength: (pct) => {
+      if (engine.els.denoiseStrength) engine.els.denoiseStrength.value = String(pct);
+      engine.updateSliderLabels();
+      engine.applyChainSettings();
+    },
+    captureNoise: () => engine.captureNoise(),
+    clearNoise: () => engine.clearNoise(),
+    setDetectionMode: (mode) => engine.setDetectionMode(mode),
+    createKeepsake: (seconds) => engine.createKeepsake(seconds),
+    setServerAnalysis: (enabled) => engine.setServerAnalysis(enabled),
+    listProfiles: () => listProfiles(),
+    selectProfile: (id) => engine.selectProfile(id),
+    importProfile: (file) => engine.importProfile(file),
+    exportProfile: () => exportProfile(engine.collectProfile()),
+    analyzeFile: (file) => engine.analyzeFile(file),
+    setMonitorVol: (p) => {
+      if (engine.els.monitorVol) engine.els.monitorVol.value = String(p);
+      engine.updateSliderLabels();
+      engine.applyMonitorVolume();
+    },
+    on: (type, fn) => engine.on(type, fn),
+    off: (type, fn) => engine.off(type, fn),
+    getState: () => engine.getState()
+  };
+}
@@ -0,0 +1,154 @@
+// babybeat-analysis.js
+// Browser side of the /api/analyze protocol (see api/analyze.js). Live audio
+// is averaged down to about TARGET_RATE Hz and sent as one chunk every
+// SEND_EVERY_MS, with at most one request in flight. While a request is
+// pending or backing off, new audio collects into the next chunk, so a slow
+// server gets bigger, rarer chunks instead of a queue. Past MAX_PENDING_SEC
+// the backlog is dropped and the stream starts over at seq 0.
+
+export const PROTOCOL_VERSION = 1;
+
+const TARGET_RATE     = 4000;     // Hz; heart sounds sit well below 2 kHz
+const SEND_EVERY_MS   = 1000;
+const MAX_PENDING_SEC = 8;
+const RETRY_BASE_MS   = 500;
+const RETRY_MAX_MS    = 15000;
+
+// opts: { endpoint, session, sampleRate, onResult(result), onError(err) }
+// result is the server's { bpm, confidence, label, quality, fetal, maternal,
+// analyzedSec } plus { seq, latencyMs }
+export class AnalysisClient {
+  constructor(opts) {
+    this.endpoint = opts.endpoint;
+    this.session  = opts.session;
+    this.onResult = opts.onResult || (() => {});
+    this.onError  = opts.onError || (() => {});
+
+    this.factor = Math.max(1, Math.round(opts.sampleRate / TARGET_RATE));
+    this.rate   = opts.sampleRate / this.factor;
+    this.acc    = 0;
+    this.accN   = 0;
+
+    this.pending    = new Float32Array(Math.ceil(this.rate * MAX_PENDING_SEC));
+    this.pendingLen = 0;
+    this.retry      = null;     // chunk to send again: { seq, pcm16 }
+    this.seq        = 0;        // seq of the next new chunk
+    this.busy       = false;
+    this.failures   = 0;
+    this.nextSendAt = 0;
+    this.closed     = false;
+  }
+
+  // Called with every block of live samples
+  push(samples) {
+    if (this.closed) return;
+    for (let i = 0; i < samples.length; i++) {
+      this.acc += samples[i];
+      if (++this.accN < this.factor) continue;
+      if (this.pendingLen === this.pending.length) this.overflow();
+      this.pending[this.pendingLen++] = this.acc / this.factor;
+      this.acc = 0;
+      this.accN = 0;
+    }
+    this.pump();
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      keepalive: true,
+      body: JSON.stringify({ v: PROTOCOL_VERSION, session: this.session, end: true })
+    }).catch(() => {});
+  }
+
+  // The server can't keep up: forget the backlog and start over
+  overflow() {
+    this.pendingLen = 0;
+    this.retry = null;
+    this.seq = 0;
+  }
+
+  pump() {
+    if (this.busy || this.closed || performance.now() < this.nextSendAt) return;
+    let chunk = this.retry;
+    if (!chunk) {
+      if (!this.pendingLen) return;
+      chunk = { seq: this.seq++, pcm16: encodePcm16(this.pending.subarray(0, this.pendingLen)) };
+      this.pendingLen = 0;
+    }
+    this.send(chunk);
+  }
+
+  async send(chunk) {
+    this.busy = true;
+    const started = performance.now();
+    let r, data;
+    try {
+      r = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          v: PROTOCOL_VERSION, session: this.session, seq: chunk.seq, sampleRate: this.rate, pcm16: chunk.pcm16
+        })
+      });
+      data = await r.json().catch(() => ({}));
+    } catch (err) {
+      r = null;
+      data = { error: err.message };
+    } finally {
+      this.busy = false;
+    }
+    if (this.closed) return;
+    const now = performance.now();
+
+    if (r && r.ok) {
+      this.failures = 0;
+      this.retry = null;
+      this.nextSendAt = started + SEND_EVERY_MS;
+      this.onResult({ ...data.result, seq: data.ack, latencyMs: Math.round(now - started) });
+    } else if (r && r.status === 409) {
+      // The server lost the stream (cold start, other instance): this chunk begins a new one
+      this.retry = { seq: 0, pcm16: chunk.pcm16 };
+      this.seq = 1;
+      this.nextSendAt = now;
+    } else if (r && r.status === 429) {
+      this.retry = chunk;
+      const wait = data.retryAfterMs ?? parseFloat(r.headers.get('Retry-After') || '1') * 1000;
+      this.nextSendAt = now + wait;
+    } else if (r && r.status === 403) {
+      this.closed = true;
+      this.onError(new Error(data.error || 'No access to server analysis'));
+    } else if (r && r.status < 500) {
+      // Not worth repeating: drop it and start the stream over
+      this.retry = null;
+      this.seq = 0;
+      this.onError(new Error(data.error || `Server analysis failed (${r.status})`));
+    } else {
+      this.retry = chunk;
+      this.failures++;
+      const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (this.failures - 1));
+      this.nextSendAt = now + backoff * (0.75 + Math.random() * 0.5);
+      if (this.failures === 3) this.onError(new Error(data.error || 'Server analysis unreachable, retrying'));
+    }
+  }
+}
+
+// Little-endian Int16, base64
+function encodePcm16(samples) {
+  const view = new DataView(new ArrayBuffer(samples.length * 2));
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(i * 2, s < 0 ? s * 32768 : s * 32767, true);
+  }
+  const bytes = new Uint8Array(view.buffer);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
@@ -0,0 +1,118 @@
+// babybeat-channels.js
+// Stereo input routing: mic → splitter → per-channel gains → one mono output
+// that feeds the processing chain. 'left' / 'right' pick one capsule, 'mix'
+// averages both, and 'auto' keeps listening to both through their own
+// bandpass probes and follows whichever has the better heartbeat SNR,
+// switching only when the other side is clearly and lastingly better.
+// The probes leave the router as one stereo node (`probe`); the detection
+// worklet runs a detector per side and reports their SNR back to update().
+
+export const CHANNEL_MODES  = ['auto', 'mix', 'left', 'right'];
+export const AUTO_SWITCH_DB = 3;          // other channel must be this much better…
+export const AUTO_HOLD_MS   = 2000;       // …for this long before we switch
+export const ROUTE_RAMP_SEC = 0.05;       // gain crossfade time constant
+
+const SIDES = ['left', 'right'];
+
+export class ChannelRouter {
+  constructor(ctx, source, opts = {}) {
+    this.ctx = ctx;
+    // Stereo only when the source says so. The splitter leaves a mono input's
+    // right channel silent, so 'mix' would halve a mono mic; an unknown count
+    // (not every browser reports channelCount) is taken as mono, which on a
+    // stereo mic still hears the left capsule at full level
+    this.channels = opts.channels >= 2 ? 2 : 1;
+    this.splitter = ctx.createChannelSplitter(2);
+    this.output = ctx.createGain();
+    this.probe = ctx.createChannelMerger(2);
+    source.connect(this.splitter);
+
+    this.sides = {};
+    SIDES.forEach((side, i) => {
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      this.splitter.connect(gain, i);
+      gain.connect(this.output);
+
+      // Probe: same band as the main chain, analysed but never heard
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'bandpass';
+      this.splitter.connect(filter, i);
+      filter.connect(this.probe, 0, i);
+
+      this.sides[side] = { gain, filter };
+    });
+
+    this.sideSnr = { left: 0, right: 0 };
+    this.mode = 'mix';
+    this.active = 'mix';
+    this.betterSince = 0;
+    this.setFilter(opts.filterHz || 60, opts.q || 3);
+    this.setMode(opts.mode || 'mix');
+  }
+
+  // A mono mic only has a left channel, whatever the profile asks for.
+  // Auto starts on the mix until one side has proven itself.
+  setMode(mode) {
+    this.mode = CHANNEL_MODES.includes(mode) ? mode : 'mix';
+    const wanted = this.channels === 1 ? 'left' : this.mode;
+    if (wanted !== 'auto') this.route(wanted);
+    else if (!SIDES.includes(this.active)) this.route('mix');
+  }
+
+  setFilter(hz, q) {
+    for (const side of SIDES) {
+      this.sides[side].filter.frequency.value = hz;
+      this.sides[side].filter.Q.value = q;
+    }
+  }
+
+  route(active) {
+    this.active = active;
+    this.betterSince = 0;
+    const weights = active === 'mix' ? { left: 0.5, right: 0.5 } : { left: +(active === 'left'), right: +(active === 'right') };
+    const t = this.ctx.currentTime;
+    for (const side of SIDES) {
+      this.sides[side].gain.gain.setTargetAtTime(weights[side], t, ROUTE_RAMP_SEC);
+    }
+  }
+
+  // Call once per analysis frame with the probes' smoothed SNR ({ left, right }, dB).
+  // Returns true when auto mode switched channels.
+  update(snr, now) {
+    if (this.channels === 1) return false;
+    this.sideSnr = { left: snr.left, right: snr.right };
+    if (this.mode !== 'auto') return false;
+
+    const best = this.bestSide();
+    if (best === this.active) {
+      this.betterSince = 0;
+      return false;
+    }
+    const current = this.active === 'mix' ? -Infinity : this.snr()[this.active];
+    if (this.snr()[best] - current < AUTO_SWITCH_DB) {
+      this.betterSince = 0;
+      return false;
+    }
+    if (!this.betterSince) this.betterSince = now;
+    if (now - this.betterSince < AUTO_HOLD_MS) return false;
+    this.route(best);
+    return true;
+  }
+
+  // Smoothed per-channel SNR in dB
+  snr() {
+    return { ...this.sideSnr };
+  }
+
+  bestSide() {
+    const snr = this.snr();
+    return snr.right > snr.left ? 'right' : 'left';
+  }
+
+  disconnect() {
+    const nodes = [this.splitter, this.output, this.probe];
+    for (const side of SIDES) nodes.push(this.sides[side].gain, this.sides[side].filter);
+    nodes.forEach(n => { try { n.disconnect(); } catch {} });
+  }
+}
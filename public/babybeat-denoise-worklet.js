@@ -0,0 +1,173 @@
+// babybeat-denoise-worklet.js
+// AudioWorklet: spectral noise reduction. STFT (sqrt-Hann, 50% overlap), a
+// Wiener-style gain per bin from a captured noise spectrum, overlap-add back.
+// Messages in:  { type: 'capture', seconds } | { type: 'noise', noise } | { type: 'gain', value }
+// Messages out: { type: 'noise', noise } when a capture finishes
+// noise = { spectrum: number[], sampleRate, fftSize, gain } (mean power per bin)
+
+const FFT_SIZE = 2048;
+const HOP      = FFT_SIZE / 2;
+const SMOOTH   = 0.6;             // gain smoothing over frames (less "musical noise")
+
+class DenoiseProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'strength', defaultValue: 0.6, minValue: 0, maxValue: 1, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.window = new Float32Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) this.window[i] = Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FFT_SIZE));
+
+    this.inBuf   = new Float32Array(FFT_SIZE);   // analysis window (last FFT_SIZE samples)
+    this.ola     = new Float32Array(FFT_SIZE);   // overlap-add accumulator
+    this.ready   = new Float32Array(HOP);        // finished output for the current hop
+    this.pos     = 0;                            // position within the current hop
+    this.re      = new Float32Array(FFT_SIZE);
+    this.im      = new Float32Array(FFT_SIZE);
+    this.bins    = FFT_SIZE / 2 + 1;
+    this.gains   = new Float32Array(this.bins).fill(1);
+
+    this.noise        = null;                    // power per bin at captureGain
+    this.captureGain  = 1;
+    this.gain         = 1;
+    this.capture      = null;                    // { sum, frames, left }
+    this.strength     = 0.6;
+
+    this.port.onmessage = e => this.onMessage(e.data || {});
+  }
+
+  onMessage(msg) {
+    if (msg.type === 'capture') {
+      const frames = Math.max(1, Math.round((msg.seconds * sampleRate) / HOP));
+      this.capture = { sum: new Float64Array(this.bins), frames: 0, left: frames };
+    } else if (msg.type === 'noise') {
+      this.setNoise(msg.noise);
+    } else if (msg.type === 'gain') {
+      this.gain = msg.value || 1;
+    }
+  }
+
+  // Spectra captured at another rate/size are remapped by frequency
+  setNoise(noise) {
+    if (!noise || !noise.spectrum) { this.noise = null; return; }
+    const src = noise.spectrum;
+    const srcHz = noise.sampleRate / noise.fftSize;
+    const dstHz = sampleRate / FFT_SIZE;
+    const out = new Float32Array(this.bins);
+    for (let k = 0; k < this.bins; k++) {
+      const pos = Math.min(src.length - 1, (k * dstHz) / srcHz);
+      const i = Math.floor(pos);
+      const frac = pos - i;
+      out[k] = src[i] * (1 - frac) + (src[Math.min(src.length - 1, i + 1)] || 0) * frac;
+    }
+    this.noise = out;
+    this.captureGain = noise.gain || 1;
+  }
+
+  process(inputs, outputs, params) {
+    const input = inputs[0] && inputs[0][0];
+    const output = outputs[0] && outputs[0][0];
+    if (!output) return true;
+    this.strength = params.strength[0];
+
+    // One hop of latency plus the window: samples go into the second half of
+    // the analysis window while the previous hop's result plays out
+    for (let i = 0; i < output.length; i++) {
+      this.inBuf[HOP + this.pos] = input ? input[i] : 0;
+      output[i] = this.ready[this.pos];
+      if (++this.pos === HOP) {
+        this.pos = 0;
+        this.frame();
+        this.inBuf.copyWithin(0, HOP);
+      }
+    }
+    return true;
+  }
+
+  frame() {
+    const { re, im, window: w } = this;
+    for (let i = 0; i < FFT_SIZE; i++) { re[i] = this.inBuf[i] * w[i]; im[i] = 0; }
+    fft(re, im, false);
+
+    if (this.capture) this.accumulateNoise();
+
+    // Gain per bin: subtract (oversubtract at high strength) the noise power,
+    // never below a floor so the residual doesn't turn into chirpy artefacts
+    const s = this.strength;
+    if (this.noise && s > 0) {
+      const scale = (this.gain / this.captureGain) ** 2;
+      const alpha = 1 + 2 * s;
+      const floor = 1 - 0.95 * s;
+      for (let k = 0; k < this.bins; k++) {
+        const p = re[k] * re[k] + im[k] * im[k];
+        const target = p > 0 ? Math.max(floor, 1 - (alpha * this.noise[k] * scale) / p) : floor;
+        this.gains[k] = SMOOTH * this.gains[k] + (1 - SMOOTH) * Math.min(1, target);
+      }
+    } else {
+      this.gains.fill(1);
+    }
+    for (let k = 0; k < this.bins; k++) {
+      re[k] *= this.gains[k];
+      im[k] *= this.gains[k];
+      if (k > 0 && k < FFT_SIZE / 2) {
+        re[FFT_SIZE - k] = re[k];
+        im[FFT_SIZE - k] = -im[k];
+      }
+    }
+
+    fft(re, im, true);
+    const ola = this.ola;
+    for (let i = 0; i < FFT_SIZE; i++) ola[i] += re[i] * w[i];
+    this.ready.set(ola.subarray(0, HOP));
+    ola.copyWithin(0, HOP);
+    ola.fill(0, HOP);
+  }
+
+  accumulateNoise() {
+    const c = this.capture;
+    for (let k = 0; k < this.bins; k++) c.sum[k] += this.re[k] * this.re[k] + this.im[k] * this.im[k];
+    c.frames++;
+    if (--c.left > 0) return;
+
+    const spectrum = Array.from(c.sum, v => v / c.frames);
+    this.capture = null;
+    const noise = { spectrum, sampleRate, fftSize: FFT_SIZE, gain: this.gain };
+    this.setNoise(noise);
+    this.port.postMessage({ type: 'noise', noise });
+  }
+}
+
+// In-place iterative radix-2 FFT; inverse includes the 1/N scaling
+function fft(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let j = 0; j < len / 2; j++) {
+        const a = i + j, b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr;        im[a] += ti;
+        const nr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = nr;
+      }
+    }
+  }
+  if (inverse) for (let i = 0; i < n; i++) { re[i] /= n; im[i] /= n; }
+}
+
+registerProcessor('babybeat-denoise', DenoiseProcessor);
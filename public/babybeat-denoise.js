@@ -0,0 +1,93 @@
+// babybeat-denoise.js
+// Main-thread side of the noise reduction stage (babybeat-denoise-worklet.js):
+// loads the worklet into a context, wraps the node, runs "capture room noise"
+// and keeps the last captured noise profile in localStorage.
+
+const WORKLET_URL = new URL('./babybeat-denoise-worklet.js', import.meta.url);
+const NOISE_KEY   = 'babybeat.noise';
+
+export const CAPTURE_SECONDS = 3;
+
+const loaded = new WeakMap();     // context → addModule promise
+
+// Resolves false when the browser has no AudioWorklet (the stage is skipped)
+export async function loadDenoiser(ctx) {
+  if (!ctx.audioWorklet) return false;
+  if (!loaded.has(ctx)) loaded.set(ctx, ctx.audioWorklet.addModule(WORKLET_URL));
+  try {
+    await loaded.get(ctx);
+    return true;
+  } catch (err) {
+    loaded.delete(ctx);
+    throw err;
+  }
+}
+
+export class Denoiser {
+  constructor(ctx, opts = {}) {
+    this.ctx = ctx;
+    this.node = new AudioWorkletNode(ctx, 'babybeat-denoise', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      channelCount: 1,
+      channelCountMode: 'explicit'
+    });
+    this.pending = null;
+    this.node.port.onmessage = e => {
+      if (e.data?.type !== 'noise' || !this.pending) return;
+      this.pending(e.data.noise);
+      this.pending = null;
+    };
+    this.setStrength(opts.strength ?? 0.6);
+    this.setGain(opts.gain || 1);
+    if (opts.noise) this.setNoise(opts.noise);
+  }
+
+  setStrength(v, at = null) {
+    const p = this.node.parameters.get('strength');
+    if (at == null) p.value = v;
+    else p.setTargetAtTime(v, at, 0.05);
+  }
+
+  // Chain gain in front of the stage, so a capture stays valid when the
+  // sensitivity changes afterwards
+  setGain(g) {
+    this.node.port.postMessage({ type: 'gain', value: g });
+  }
+
+  setNoise(noise) {
+    this.node.port.postMessage({ type: 'noise', noise });
+  }
+
+  // Measures the average noise spectrum over `seconds` of whatever is coming in
+  capture(seconds = CAPTURE_SECONDS) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending = null;
+        reject(new Error('Noise capture timed out.'));
+      }, (seconds + 2) * 1000);
+      this.pending = noise => {
+        clearTimeout(timer);
+        resolve({ ...noise, capturedAt: Date.now() });
+      };
+      this.node.port.postMessage({ type: 'capture', seconds });
+    });
+  }
+
+  disconnect() {
+    try { this.node.disconnect(); } catch {}
+    this.node.port.onmessage = null;
+  }
+}
+
+export function loadNoiseProfile() {
+  try { return JSON.parse(localStorage.getItem(NOISE_KEY) || 'null'); } catch { return null; }
+}
+
+export function saveNoiseProfile(noise) {
+  try {
+    if (noise) localStorage.setItem(NOISE_KEY, JSON.stringify(noise));
+    else localStorage.removeItem(NOISE_KEY);
+  } catch {}
+}
@@ -0,0 +1,75 @@
+// babybeat-detect-worklet.js
+// AudioWorklet: live heartbeat detection on every sample. The processed signal
+// is cut into frameSizeFor(sampleRate) blocks (the same step the file analysis
+// uses: FILE_FRAME at 48 kHz, the same duration at other rates), each
+// stamped with audio-clock time, run through BeatDetector, and the result is
+// posted to the main thread together with the block's samples.
+// Input 0: the processed mono chain. Input 1 (optional): the channel router's
+// stereo probe; each side gets its own detector for the auto channel choice.
+// Messages in:  { type: 'mode', mode } | { type: 'thresholds', thresholds } | { type: 'reset' }
+// Messages out: { type: 'frame', time, res, state, sides: { left, right }, samples }
+// time is the end of the block in ms of audio-clock time (currentFrame based).
+
+import { BeatDetector, frameSizeFor } from './babybeat-detector.js';
+
+class DetectProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = options.processorOptions || {};
+    this.detector = new BeatDetector({ sampleRate, mode: opts.mode, thresholds: opts.thresholds });
+    this.sides    = [new BeatDetector({ sampleRate }), new BeatDetector({ sampleRate })];
+
+    this.size  = frameSizeFor(sampleRate);
+    this.block = new Float32Array(this.size);
+    this.probe = [new Float32Array(this.size), new Float32Array(this.size)];
+    this.fill  = 0;
+
+    this.port.onmessage = e => this.onMessage(e.data || {});
+  }
+
+  onMessage(msg) {
+    if (msg.type === 'mode') this.detector.setMode(msg.mode);
+    else if (msg.type === 'thresholds') this.detector.setThresholds(msg.thresholds);
+    else if (msg.type === 'reset') this.detector.reset();
+  }
+
+  process(inputs, outputs) {
+    // A disconnected input arrives with no channels: treat it as silence
+    const main  = inputs[0] && inputs[0][0];
+    const probe = inputs[1] || [];
+    const left  = probe[0];
+    const right = probe[1] || probe[0];
+    const n = main ? main.length : outputs[0][0].length;
+
+    for (let i = 0; i < n; i++) {
+      this.block[this.fill]    = main ? main[i] : 0;
+      this.probe[0][this.fill] = left ? left[i] : 0;
+      this.probe[1][this.fill] = right ? right[i] : 0;
+      if (++this.fill === this.size) {
+        this.fill = 0;
+        this.flush(currentFrame + i + 1);
+      }
+    }
+    return true;
+  }
+
+  flush(endFrame) {
+    const now = (endFrame / sampleRate) * 1000;
+    const res = this.detector.process(this.block, now);
+    this.sides[0].process(this.probe[0], now);
+    this.sides[1].process(this.probe[1], now);
+
+    const { beatTimes, ...state } = this.detector.getState();
+    const samples = this.block.slice();
+    this.port.postMessage({
+      type: 'frame',
+      time: now,
+      res,
+      state,
+      sides: { left: this.sides[0].snrAvg, right: this.sides[1].snrAvg },
+      samples
+    }, [samples.buffer]);
+  }
+}
+
+registerProcessor('babybeat-detect', DetectProcessor);
@@ -0,0 +1,576 @@
+// babybeat-detector.js
+// DOM-free heartbeat detection core (no document, no Web Audio).
+// Feed it Float32Array frames of consecutive samples plus a timestamp in ms;
+// it returns beats, BPM and a range classification. The browser engine is a
+// thin adapter around it, and the same code runs in Node.
+
+// ----- CONSTANTS -----
+// Beat timing windows
+export const REFRACTORY_MS   = 350;       // minimal gap between beats
+export const MIN_INTERVAL_MS = 300;       // 200 BPM upper bound-ish
+export const MAX_INTERVAL_MS = 1200;      // ~50 BPM lower bound
+
+export const BPM_ALPHA       = 0.25;      // EMA smoothing for BPM
+export const MAX_BEAT_WINDOW = 8;         // only last N intervals for semi–real-time
+export const NO_BEAT_TIMEOUT = 2500;      // ms → clear BPM if no beat
+
+// Ranges
+export const MATERNAL_MIN = 50;
+export const MATERNAL_MAX = 110;
+export const FETAL_MIN    = 120;
+export const FETAL_MAX    = 160;
+
+// Detection. Smoothing is given as time constants in seconds, so it behaves
+// the same whatever the frame length and sample rate
+export const PEAK_THRESHOLD = 0.18;       // same spirit as original
+export const NOISE_TAU      = 2.1;        // s, noise floor rises slowly…
+export const NOISE_FALL_TAU = 0.42;       // s, …and falls quickly (tracks quiet stretches)
+export const ENV_TAU        = 0.096;      // s
+export const FAST_ENV_TAU   = 0.05;       // s
+export const SIGNAL_HOLD    = 4.3;        // s, decay time constant of the held signal peak
+
+// Signal quality (0..1 score from SNR, regularity and clipping)
+export const QUALITY_SNR_LOW  = 0.5;      // dB → SNR part of the score is 0
+export const QUALITY_SNR_HIGH = 5;        // dB → SNR part of the score is 1
+export const QUALITY_SNR_TAU  = 1.05;     // s, SNR smoothing for the score
+export const QUALITY_CV_MAX   = 0.25;     // interval spread (std/mean) that scores 0
+export const CLIP_LEVEL       = 0.98;     // |sample| counted as clipped
+export const CLIP_TAU         = 0.42;     // s
+export const QUALITY_CLIP_MAX = 0.01;     // clipped fraction that zeroes the score
+export const QUALITY_MIN      = 0.5;      // BPM is shown from this score up…
+export const QUALITY_HYST     = 0.1;      // …and hidden again below QUALITY_MIN minus this
+
+// Tempo mode (envelope autocorrelation)
+export const DETECTION_MODES  = ['peak', 'tempo', 'dual'];
+export const ENVELOPE_RATE    = 100;      // Hz, envelope samples per second
+export const TEMPO_WINDOW_SEC = 6;        // envelope history used for periodicity
+export const TEMPO_MIN_SEC    = 2.5;      // need this much before a first estimate
+export const TEMPO_EVERY_MS   = 250;      // re-estimate interval
+export const TEMPO_MIN_BPM    = 50;
+export const TEMPO_MAX_BPM    = 220;
+export const TEMPO_MIN_CONF   = 0.3;      // normalized autocorrelation peak to accept
+
+// Dual mode: search bands for the two components
+export const FETAL_SEARCH    = [110, TEMPO_MAX_BPM];
+export const MATERNAL_SEARCH = [TEMPO_MIN_BPM, 110];
+export const DUAL_SECONDARY_MIN_CONF = 0.45;   // second rhythm needs more than TEMPO_MIN_CONF
+export const DUAL_HARMONIC_TOL       = 0.04;   // secondary this close to primary × n or / n is the primary
+
+// Detector step (offline analysis and the live worklet)
+export const FILE_FRAME      = 1024;      // samples per detector step at FILE_FRAME_RATE…
+export const FILE_FRAME_RATE = 48000;     // …scaled to other rates by frameSizeFor()
+export const FILE_SERIES_MS  = 1000;      // BPM-over-time resolution
+
+// Detector step for a sample rate: the same duration as FILE_FRAME at 48 kHz
+export function frameSizeFor(sampleRate) {
+  return Math.max(32, Math.round((FILE_FRAME * sampleRate) / FILE_FRAME_RATE));
+}
+
+// ----- Detector -----
+// process() returns what happened during that frame:
+//   { beats: [{ ts, peak, avg, snr, quality }], envelope, updated, cleared,
+//     bpm, classification, snr, quality }
+// `envelope` holds the ENVELOPE_RATE RMS values completed during the frame.
+// `updated` means a new BPM estimate was accepted, `cleared` that the BPM was
+// dropped after NO_BEAT_TIMEOUT without beats (or without a stable tempo).
+// `quality` is { score, snr, regularity, clipping, ok }; `ok` says whether the
+// BPM is trustworthy enough to show (bpm itself is reported either way).
+export class BeatDetector {
+  constructor(opts = {}) {
+    this.mode = DETECTION_MODES.includes(opts.mode) ? opts.mode : 'peak';
+    this.peakThreshold = PEAK_THRESHOLD;
+    this.refractoryMs  = REFRACTORY_MS;
+    this.qualityMin    = QUALITY_MIN;
+    this.setThresholds(opts.thresholds);
+    this.configure(opts.sampleRate || 48000);
+  }
+
+  // Per-microphone tuning: { peakThreshold, refractoryMs, qualityMin }, any subset
+  setThresholds(t = {}) {
+    if (t.peakThreshold > 0) this.peakThreshold = t.peakThreshold;
+    if (t.refractoryMs > 0)  this.refractoryMs  = t.refractoryMs;
+    if (t.qualityMin > 0)    this.qualityMin    = t.qualityMin;
+  }
+
+  // Sizes the envelope buffers for a sample rate and clears all state
+  configure(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.hopSize  = Math.max(1, Math.round(sampleRate / ENVELOPE_RATE));
+    this.envelope = new Float32Array(Math.ceil(ENVELOPE_RATE * TEMPO_WINDOW_SEC));
+
+    this.noiseFloor     = 0;              // seeded from the first frame
+    this.signalEnvelope = 0;
+    this.fastEnvelope   = 0;
+    this.signalPeak     = 0;
+    this.snr            = 0;
+    this.snrAvg         = 0;
+    this.clipRatio      = 0;
+    this.reset();
+  }
+
+  setMode(mode) {
+    if (!DETECTION_MODES.includes(mode) || mode === this.mode) return false;
+    this.mode = mode;
+    this.reset();
+    return true;
+  }
+
+  reset() {
+    this.bpm          = 0;
+    this.confidence   = 0;
+    this.beatTimes    = [];
+    this.lastBeatTime = 0;
+
+    this.envelopeLen   = 0;
+    this.envelopeHead  = 0;
+    this.hopAcc        = 0;
+    this.hopCount      = 0;
+    this.envPrev       = [0, 0];
+    this.envThreshold  = Infinity;
+    this.lastTempoMs   = 0;
+    this.lastTempoOkMs = 0;
+
+    this.fetal    = { bpm: 0, confidence: 0, lastOkMs: 0 };
+    this.maternal = { bpm: 0, confidence: 0, lastOkMs: 0 };
+    this.quality  = { score: 0, snr: 0, regularity: 0, clipping: 0, ok: false };
+  }
+
+  process(frame, now) {
+    const out = { beats: [], envelope: [], updated: false, cleared: false };
+
+    // Envelopes / SNR: the floor follows the quiet parts between beats, the
+    // signal is the held envelope peak — steady noise has little between them
+    // (a floor still at zero would make the first seconds of steady noise
+    // look like a strong signal)
+    const energy = rms(frame);
+    const dt = frame.length / this.sampleRate;
+    if (!this.noiseFloor) this.noiseFloor = energy;
+    const floorTau = energy < this.noiseFloor ? NOISE_FALL_TAU : NOISE_TAU;
+    this.noiseFloor     = Math.max(1e-6, ema(this.noiseFloor, energy, alphaFor(floorTau, dt)));
+    this.signalEnvelope = ema(this.signalEnvelope, energy, alphaFor(ENV_TAU, dt));
+    this.fastEnvelope   = ema(this.fastEnvelope,   energy, alphaFor(FAST_ENV_TAU, dt));
+    this.signalPeak     = Math.max(this.signalEnvelope, this.signalPeak * Math.exp(-dt / SIGNAL_HOLD));
+    this.snr    = calcSNR(this.signalPeak, this.noiseFloor);
+    this.snrAvg = ema(this.snrAvg, this.snr, alphaFor(QUALITY_SNR_TAU, dt));
+    this.clipRatio = ema(this.clipRatio, clippedFraction(frame), alphaFor(CLIP_TAU, dt));
+
+    this.pushEnvelopeSamples(frame, now, out);
+
+    if (this.mode === 'tempo') {
+      this.updateTempo(now, out);
+    } else if (this.mode === 'dual') {
+      this.updateDual(now, out);
+    } else {
+      // Heartbeat detection = simple amplitude threshold + refractory
+      const peak = absPeak(frame);
+      const sinceLast = this.lastBeatTime ? (now - this.lastBeatTime) : Infinity;
+      if (peak > this.peakThreshold && sinceLast > this.refractoryMs) {
+        this.registerBeat(now, peak, absMean(frame), out);
+      }
+    }
+
+    // If no beats (or no stable tempo) for a while → clear BPM (no sticky display)
+    const lastGood = this.mode === 'peak' ? this.lastBeatTime : this.lastTempoOkMs;
+    if (lastGood && now - lastGood > NO_BEAT_TIMEOUT && this.bpm !== 0) {
+      this.bpm = 0;
+      this.confidence = 0;
+      out.cleared = true;
+    }
+
+    this.updateQuality();
+
+    out.bpm = this.bpm;
+    out.classification = classifyBpm(this.bpm);
+    out.snr = this.snr;
+    out.quality = { ...this.quality };
+    return out;
+  }
+
+  // Noise easily produces a steady-looking number, so the BPM only counts
+  // when the signal stands out from the floor AND the rhythm is regular (beat
+  // intervals in peak mode, periodicity strength in tempo modes) AND the
+  // input isn't clipping. The refractory period makes even noise look
+  // regular, hence the geometric mean: neither part can carry the other.
+  // Hysteresis keeps the display from flickering.
+  updateQuality() {
+    const snrScore   = clamp((this.snrAvg - QUALITY_SNR_LOW) / (QUALITY_SNR_HIGH - QUALITY_SNR_LOW), 0, 1);
+    const regularity = this.mode === 'peak' ? intervalRegularity(this.beatTimes) : clamp(this.confidence, 0, 1);
+    const clipScore  = clamp(1 - this.clipRatio / QUALITY_CLIP_MAX, 0, 1);
+    const score = Math.sqrt(snrScore * regularity) * clipScore;
+
+    const wasOk = this.quality.ok;
+    this.quality = {
+      score,
+      snr: this.snrAvg,
+      regularity,
+      clipping: this.clipRatio,
+      ok: this.bpm > 0 && score >= (wasOk ? this.qualityMin - QUALITY_HYST : this.qualityMin)
+    };
+  }
+
+  getState() {
+    return {
+      mode: this.mode,
+      sampleRate: this.sampleRate,
+      bpm: this.bpm,
+      confidence: this.confidence,
+      classification: classifyBpm(this.bpm),
+      fetal: { bpm: this.fetal.bpm, confidence: this.fetal.confidence },
+      maternal: { bpm: this.maternal.bpm, confidence: this.maternal.confidence },
+      snr: this.snr,
+      quality: { ...this.quality },
+      lastBeatTime: this.lastBeatTime,
+      beatTimes: this.beatTimes.slice()
+    };
+  }
+
+  pushEnvelopeSamples(samples, now, out) {
+    for (let i = 0; i < samples.length; i++) {
+      this.hopAcc += samples[i] * samples[i];
+      if (++this.hopCount >= this.hopSize) {
+        this.onEnvelopeHop(Math.sqrt(this.hopAcc / this.hopCount), now, out);
+        this.hopAcc = 0;
+        this.hopCount = 0;
+      }
+    }
+  }
+
+  onEnvelopeHop(value, now, out) {
+    this.envelope[this.envelopeHead] = value;
+    this.envelopeHead = (this.envelopeHead + 1) % this.envelope.length;
+    this.envelopeLen = Math.min(this.envelopeLen + 1, this.envelope.length);
+    out.envelope.push(value);
+
+    // Tempo/dual mode: a beat is a local envelope maximum above the adaptive
+    // threshold, spaced at least ~60% of the current period from the last one.
+    const [a, b] = this.envPrev;
+    this.envPrev = [b, value];
+    if (this.mode === 'peak') return;
+    const minGap = this.bpm ? 0.6 * 60000 / this.bpm : 60000 / TEMPO_MAX_BPM;
+    const sinceLast = this.lastBeatTime ? (now - this.lastBeatTime) : Infinity;
+    if (b > a && b >= value && b > this.envThreshold && sinceLast > minGap) {
+      this.registerBeat(now, b, b, out);
+    }
+  }
+
+  envelopeWindow() {
+    const len = this.envelopeLen;
+    const out = new Float32Array(len);
+    const start = (this.envelopeHead - len + this.envelope.length) % this.envelope.length;
+    for (let i = 0; i < len; i++) out[i] = this.envelope[(start + i) % this.envelope.length];
+    return out;
+  }
+
+  // Returns the envelope window when it's time for a new tempo estimate
+  tempoWindow(now) {
+    if (now - this.lastTempoMs < TEMPO_EVERY_MS) return null;
+    this.lastTempoMs = now;
+    if (this.envelopeLen < ENVELOPE_RATE * TEMPO_MIN_SEC) return null;
+
+    const env = this.envelopeWindow();
+    const { mean, std } = meanStd(env);
+    this.envThreshold = mean + 0.5 * std;
+    return env;
+  }
+
+  updateTempo(now, out) {
+    const env = this.tempoWindow(now);
+    if (!env) return;
+
+    const est = estimateTempo(env, ENVELOPE_RATE, TEMPO_MIN_BPM, TEMPO_MAX_BPM);
+    if (!est || est.confidence < TEMPO_MIN_CONF) return;
+
+    this.lastTempoOkMs = now;
+    if (this.applyBpm(est.bpm)) {
+      this.confidence = est.confidence;
+      out.updated = true;
+    }
+  }
+
+  updateDual(now, out) {
+    const env = this.tempoWindow(now);
+    if (!env) return;
+
+    const est = estimateDualTempo(env, ENVELOPE_RATE);
+    trackComponent(this.fetal, est.fetal, now);
+    trackComponent(this.maternal, est.maternal, now);
+
+    // The stronger component drives beat spacing and the generic bpm value
+    const primary = this.fetal.confidence >= this.maternal.confidence ? this.fetal : this.maternal;
+    this.bpm = primary.bpm || this.fetal.bpm || this.maternal.bpm;
+    this.confidence = primary.confidence;
+    if (this.bpm) this.lastTempoOkMs = now;
+    out.updated = true;
+  }
+
+  registerBeat(ts, peak, avg, out) {
+    this.lastBeatTime = ts;
+    this.beatTimes.push(ts);
+    if (this.beatTimes.length > MAX_BEAT_WINDOW + 2) {
+      this.beatTimes.shift();
+    }
+    out.beats.push({ ts, peak, avg, snr: this.snr, quality: this.quality.score });
+
+    // Tempo modes estimate BPM from periodicity, not from these intervals
+    if (this.mode !== 'peak') return;
+    if (this.beatTimes.length < 3) return;
+
+    // only use last few intervals = semi–real-time
+    const times = this.beatTimes;
+    const intervals = [];
+    for (let i = 1; i < times.length; i++) {
+      intervals.push(times[i] - times[i - 1]);
+    }
+
+    const recent = intervals.slice(-MAX_BEAT_WINDOW);
+    const valid  = recent.filter(ms => ms >= MIN_INTERVAL_MS && ms <= MAX_INTERVAL_MS);
+    if (valid.length < 2) return;
+
+    const avgMs = valid.reduce((a, b) => a + b, 0) / valid.length;
+    if (this.applyBpm(60000 / avgMs)) out.updated = true;
+  }
+
+  applyBpm(rawBpm) {
+    if (!isFinite(rawBpm) || rawBpm < 40 || rawBpm > 220) {
+      // Ignore crazy spikes instead of forcing into fetal range
+      return false;
+    }
+    if (!this.bpm) this.bpm = rawBpm;
+    else this.bpm = BPM_ALPHA * rawBpm + (1 - BPM_ALPHA) * this.bpm;
+    return true;
+  }
+}
+
+// Runs the detector over a whole mono buffer, using sample time instead of
+// wall-clock time. Returns a BPM-over-time series and every detected beat.
+// Series points below the quality threshold get bpm 0 (with their score).
+export function analyzeSamples(samples, sampleRate, opts = {}) {
+  const frameSize = opts.frameSize || frameSizeFor(sampleRate);
+  const seriesMs  = opts.seriesMs || FILE_SERIES_MS;
+  const detector  = new BeatDetector({ sampleRate, mode: opts.mode, thresholds: opts.thresholds });
+  const mode      = detector.mode;
+
+  const beats  = [];
+  const series = [];
+  let nextPointMs = seriesMs;
+  for (let i = 0; i < samples.length; i += frameSize) {
+    const frame = samples.subarray(i, Math.min(samples.length, i + frameSize));
+    const now = ((i + frame.length) / sampleRate) * 1000;
+    const res = detector.process(frame, now);
+    for (const b of res.beats) beats.push({ t: b.ts / 1000, peak: b.peak });
+
+    if (now >= nextPointMs) {
+      const ok = detector.quality.ok;
+      const point = {
+        t: nextPointMs / 1000,
+        bpm: ok ? Math.round(detector.bpm) : 0,
+        quality: +detector.quality.score.toFixed(2)
+      };
+      if (mode === 'dual') {
+        point.fetal = ok ? Math.round(detector.fetal.bpm) : 0;
+        point.maternal = ok ? Math.round(detector.maternal.bpm) : 0;
+      }
+      series.push(point);
+      nextPointMs += seriesMs;
+    }
+  }
+
+  return {
+    mode,
+    sampleRate,
+    durationSec: samples.length / sampleRate,
+    beats,
+    series
+  };
+}
+
+// ----- Classification -----
+export function classifyBpm(bpm) {
+  if (!bpm) return null;
+  const rounded = Math.round(bpm);
+  if (rounded >= FETAL_MIN && rounded <= FETAL_MAX) return 'fetal';
+  if (rounded >= MATERNAL_MIN && rounded <= MATERNAL_MAX) return 'maternal';
+  return 'other';
+}
+
+// ----- Periodicity -----
+// Dual-rate estimate: take the dominant period over the full range, cancel it
+// with a comb (x[n + L] - x[n] removes anything periodic at L, including its
+// multiples; L is fractional, interpolated, so nothing of it leaks through),
+// then look for the second rhythm in the other band on what's left. Whatever
+// still survives at an integer fraction or multiple of the primary rate is
+// the primary rhythm again, not a second heart, so it is rejected.
+export function estimateDualTempo(env, rate) {
+  const empty = { bpm: 0, confidence: 0 };
+  const out = { fetal: empty, maternal: empty };
+
+  const primary = estimateTempo(env, rate, TEMPO_MIN_BPM, TEMPO_MAX_BPM);
+  if (!primary) return out;
+
+  const primaryIsFetal = primary.bpm >= FETAL_SEARCH[0];
+  const otherBand = primaryIsFetal ? MATERNAL_SEARCH : FETAL_SEARCH;
+
+  const lag = (rate * 60) / primary.bpm;
+  const whole = Math.floor(lag);
+  const frac = lag - whole;
+  const residual = new Float32Array(Math.max(0, env.length - whole - 1));
+  for (let i = 0; i < residual.length; i++) {
+    residual[i] = env[i + whole] * (1 - frac) + env[i + whole + 1] * frac - env[i];
+  }
+  let secondary = estimateTempo(residual, rate, otherBand[0], otherBand[1]) || empty;
+  if (secondary.confidence < DUAL_SECONDARY_MIN_CONF || isRelatedRate(secondary.bpm, primary.bpm)) secondary = empty;
+
+  out.fetal    = primaryIsFetal ? primary : secondary;
+  out.maternal = primaryIsFetal ? secondary : primary;
+  return out;
+}
+
+// a is within DUAL_HARMONIC_TOL of b × 2, 3 or b / 2, 3
+function isRelatedRate(a, b) {
+  if (!a || !b) return false;
+  const ratio = a > b ? a / b : b / a;
+  const n = Math.round(ratio);
+  return n >= 2 && n <= 3 && Math.abs(ratio - n) / n < DUAL_HARMONIC_TOL;
+}
+
+// Smooths one dual-mode component; clears it when it's been unconfident too long
+function trackComponent(state, est, now) {
+  if (est.bpm && est.confidence >= TEMPO_MIN_CONF) {
+    state.bpm = state.bpm ? ema(state.bpm, est.bpm, BPM_ALPHA) : est.bpm;
+    state.confidence = est.confidence;
+    state.lastOkMs = now;
+  } else if (state.lastOkMs && now - state.lastOkMs > NO_BEAT_TIMEOUT) {
+    state.bpm = 0;
+    state.confidence = 0;
+    state.lastOkMs = 0;
+  }
+}
+
+export function estimateTempo(env, rate, minBpm, maxBpm) {
+  const minLag = Math.floor((rate * 60) / maxBpm);
+  const maxLag = Math.ceil((rate * 60) / minBpm);
+  if (env.length < maxLag + 2) return null;
+
+  const acf = autocorrelate(env, maxLag + 1);
+  const peak = pickPeriod(acf, minLag, maxLag);
+  if (!peak || peak.lag <= 0) return null;
+
+  return {
+    bpm: (rate * 60) / peak.lag,
+    confidence: clamp(peak.value, 0, 1)
+  };
+}
+
+// Normalized autocorrelation of the mean-removed signal for lags 0..maxLag.
+// Each lag is divided by its overlap length so long lags aren't penalized.
+export function autocorrelate(buf, maxLag) {
+  const n = buf.length;
+  const { mean } = meanStd(buf);
+  const x = new Float32Array(n);
+  for (let i = 0; i < n; i++) x[i] = buf[i] - mean;
+
+  const acf = new Float32Array(maxLag + 1);
+  for (let lag = 0; lag <= maxLag && lag < n; lag++) {
+    let sum = 0;
+    for (let i = lag; i < n; i++) sum += x[i] * x[i - lag];
+    acf[lag] = sum / (n - lag);
+  }
+  const zero = acf[0];
+  if (zero > 0) for (let lag = 0; lag < acf.length; lag++) acf[lag] /= zero;
+  return acf;
+}
+
+// Strongest local maximum of acf within [minLag, maxLag], refined with a
+// parabola through its neighbours for sub-lag resolution. A periodic signal
+// also peaks at 2x, 3x… its period, so a nearly-as-strong peak at an integer
+// fraction of the winning lag is preferred (avoids reading 150 BPM as 75).
+export function pickPeriod(acf, minLag, maxLag) {
+  const peaks = [];
+  for (let lag = Math.max(1, minLag); lag <= maxLag && lag < acf.length - 1; lag++) {
+    if (acf[lag] >= acf[lag - 1] && acf[lag] >= acf[lag + 1]) peaks.push(lag);
+  }
+  if (!peaks.length) return null;
+
+  let best = peaks.reduce((m, lag) => (acf[lag] > acf[m] ? lag : m), peaks[0]);
+  for (const lag of peaks) {
+    if (lag >= best) break;
+    const ratio = best / lag;
+    const harmonic = Math.abs(ratio - Math.round(ratio)) < 0.1;
+    if (harmonic && acf[lag] >= 0.75 * acf[best]) { best = lag; break; }
+  }
+
+  const y0 = acf[best - 1], y1 = acf[best], y2 = acf[best + 1];
+  const denom = y0 - 2 * y1 + y2;
+  const shift = denom ? clamp(0.5 * (y0 - y2) / denom, -0.5, 0.5) : 0;
+  return { lag: best + shift, value: y1 };
+}
+
+// ----- Shared helpers -----
+export function clamp(v, lo, hi) {
+  return Math.min(hi, Math.max(lo, v));
+}
+
+export function ema(prev, value, alpha) {
+  return prev + alpha * (value - prev);
+}
+
+// EMA weight for a step of dt seconds with time constant tau seconds
+export function alphaFor(tau, dt) {
+  return 1 - Math.exp(-dt / tau);
+}
+
+export function rms(buf) {
+  if (!buf || !buf.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < buf.length; i++) sum += buf[i] * buf[i];
+  return Math.sqrt(sum / buf.length);
+}
+
+export function absPeak(buf) {
+  let peak = 0;
+  for (let i = 0; i < buf.length; i++) {
+    const a = Math.abs(buf[i]);
+    if (a > peak) peak = a;
+  }
+  return peak;
+}
+
+export function absMean(buf) {
+  if (!buf || !buf.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < buf.length; i++) sum += Math.abs(buf[i]);
+  return sum / buf.length;
+}
+
+export function clippedFraction(buf) {
+  if (!buf || !buf.length) return 0;
+  let n = 0;
+  for (let i = 0; i < buf.length; i++) if (Math.abs(buf[i]) >= CLIP_LEVEL) n++;
+  return n / buf.length;
+}
+
+// 1 for perfectly even beat spacing, 0 at QUALITY_CV_MAX spread or worse
+export function intervalRegularity(times) {
+  const recent = times.slice(-(MAX_BEAT_WINDOW + 1));
+  if (recent.length < 4) return 0;
+  const intervals = [];
+  for (let i = 1; i < recent.length; i++) intervals.push(recent[i] - recent[i - 1]);
+  const { mean, std } = meanStd(intervals);
+  if (!mean) return 0;
+  return clamp(1 - (std / mean) / QUALITY_CV_MAX, 0, 1);
+}
+
+export function calcSNR(signal, noise) {
+  if (noise <= 0 || signal <= 0) return 0;
+  return 20 * Math.log10(signal / noise);
+}
+
+export function meanStd(buf) {
+  if (!buf || !buf.length) return { mean: 0, std: 0 };
+  let sum = 0;
+  for (let i = 0; i < buf.length; i++) sum += buf[i];
+  const mean = sum / buf.length;
+  let sq = 0;
+  for (let i = 0; i < buf.length; i++) sq += (buf[i] - mean) * (buf[i] - mean);
+  return { mean, std: Math.sqrt(sq / buf.length) };
+}
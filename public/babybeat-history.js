@@ -0,0 +1,132 @@
+// babybeat-history.js
+// Local session history: every listening session is kept in IndexedDB
+// (start/end, mic profile, BPM series, beat times, recordings) and can be
+// drawn as a BPM trend. Nothing leaves the device.
+
+const DB_NAME    = 'babybeat';
+const DB_VERSION = 1;
+const STORE      = 'sessions';
+
+// Fixed axis so trends from different days are directly comparable
+export const TREND_MIN_BPM = 50;
+export const TREND_MAX_BPM = 200;
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) {
+      reject(new Error('IndexedDB not available in this browser.'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('startedAt', 'startedAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // Let a later call retry if opening failed (e.g. private mode)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function saveSession(session) {
+  return run('readwrite', store => store.put(session));
+}
+
+export function getSession(id) {
+  return run('readonly', store => store.get(id));
+}
+
+export function deleteSession(id) {
+  return run('readwrite', store => store.delete(id));
+}
+
+// Newest first
+export async function listSessions() {
+  const all = await run('readonly', store => store.index('startedAt').getAll());
+  return (all || []).reverse();
+}
+
+// Summary numbers for a stored session (ignores empty BPM samples)
+export function summarizeSession(session) {
+  const bpms = (session.bpmSeries || []).map(p => p.bpm).filter(Boolean);
+  const durationSec = Math.max(0, ((session.endedAt || session.startedAt) - session.startedAt) / 1000);
+  if (!bpms.length) return { durationSec, beats: (session.beats || []).length, min: null, mean: null, max: null };
+  return {
+    durationSec,
+    beats: (session.beats || []).length,
+    min: Math.min(...bpms),
+    mean: Math.round(bpms.reduce((a, b) => a + b, 0) / bpms.length),
+    max: Math.max(...bpms)
+  };
+}
+
+// Draws the BPM series ({ t: ms since start, bpm }) onto a canvas, DPR-aware.
+// Gaps (bpm null/0) break the line instead of dropping to zero.
+export function drawTrend(canvas, series, opts = {}) {
+  const ctx = canvas.getContext('2d');
+  const dpr = globalThis.devicePixelRatio || 1;
+  const w = canvas.clientWidth || canvas.width;
+  const h = canvas.clientHeight || canvas.height;
+  canvas.width = w * dpr;
+  canvas.height = h * dpr;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+
+  const lo = opts.minBpm || TREND_MIN_BPM;
+  const hi = opts.maxBpm || TREND_MAX_BPM;
+  const y = bpm => h - ((Math.min(hi, Math.max(lo, bpm)) - lo) / (hi - lo)) * h;
+
+  // Shaded reference bands (e.g. fetal / maternal ranges)
+  for (const band of opts.bands || []) {
+    ctx.fillStyle = band.color;
+    ctx.fillRect(0, y(band.max), w, y(band.min) - y(band.max));
+  }
+
+  ctx.globalAlpha = .25;
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let bpm = Math.ceil(lo / 25) * 25; bpm <= hi; bpm += 25) {
+    ctx.moveTo(0, y(bpm));
+    ctx.lineTo(w, y(bpm));
+  }
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+
+  const points = series || [];
+  if (!points.length) return;
+  const t0 = points[0].t;
+  const span = Math.max(1, points[points.length - 1].t - t0);
+
+  ctx.strokeStyle = opts.color || '#ffce79';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  let drawing = false;
+  for (const p of points) {
+    if (!p.bpm) { drawing = false; continue; }
+    const x = ((p.t - t0) / span) * w;
+    if (drawing) ctx.lineTo(x, y(p.bpm));
+    else ctx.moveTo(x, y(p.bpm));
+    drawing = true;
+  }
+  ctx.stroke();
+}
@@ -0,0 +1,216 @@
+// babybeat-keepsake.js
+// Beat-synchronous averaging for the "keepsake" track. The detected beats cut
+// the audio into one-period segments; those are aligned (coarsely on their
+// envelopes, then to the sample on the waveform) and averaged, which keeps
+// what repeats every beat and cancels the noise that doesn't (about 3 dB per
+// doubling of the beat count). The averaged beat is then laid end to end at
+// the measured tempo with short crossfades. DOM-free.
+
+import { MIN_INTERVAL_MS, MAX_INTERVAL_MS } from './babybeat-detector.js';
+
+export const KEEPSAKE_MIN_BEATS = 8;       // fewer usable beats → no average
+export const KEEPSAKE_SECONDS   = 45;      // default track length
+
+const PRE_FRACTION    = 0.3;     // part of a segment before its beat (catches the whole S1)
+const ALIGN_RATE      = 1000;    // Hz, envelope rate for the coarse alignment
+const COARSE_SHIFT_MS = 40;      // beats may sit this far off their detected time
+const FINE_SHIFT_MS   = 1.5;     // then refined on the waveform within ± this
+const FINE_WINDOW_MS  = 120;     // around the beat, for the fine alignment
+const MIN_ENV_CORR    = 0.5;     // segments less like the average are dropped…
+const LOUD_FACTOR     = 3;       // …and so are bumps louder than this × median RMS
+const XFADE_MS        = 15;      // between consecutive beats in the track
+const TRACK_FADE_SEC  = 1;
+const PEAK_LEVEL      = 0.9;
+const PERIOD_TOLERANCE = 0.15;   // intervals this close to the shortest common one count as one beat
+
+// samples: Float32Array; beats: sample indices of detected beats (ascending)
+// → { beat, period, bpm, used, rejected } or null with too few usable beats.
+// beat is one period plus a crossfade tail, peak-normalized.
+export function averageBeats(samples, sampleRate, beats, opts = {}) {
+  const period = beatPeriod(beats, sampleRate) || (opts.bpm ? Math.round((60 / opts.bpm) * sampleRate) : 0);
+  if (!period) return null;
+
+  const pre    = Math.round(PRE_FRACTION * period);
+  const xfade  = Math.round((XFADE_MS / 1000) * sampleRate);
+  const len    = period + xfade;
+  const coarse = Math.round((COARSE_SHIFT_MS / 1000) * sampleRate);
+  const fine   = Math.max(1, Math.round((FINE_SHIFT_MS / 1000) * sampleRate));
+  const margin = coarse + fine;
+  let starts = beats
+    .map(b => Math.round(b) - pre)
+    .filter(s => s - margin >= 0 && s + len + margin <= samples.length);
+  if (starts.length < KEEPSAKE_MIN_BEATS) return null;
+
+  // Drop bumps and knocks before they spoil the average
+  const levels = starts.map(s => rms(samples, s, len));
+  const loud = median(levels) * LOUD_FACTOR;
+  starts = starts.filter((s, i) => levels[i] <= loud);
+
+  // Coarse: envelopes at ALIGN_RATE against their running average, two passes
+  const hop = Math.max(1, Math.round(sampleRate / ALIGN_RATE));
+  const env = envelope(samples, hop);
+  const envLen = Math.floor(len / hop);
+  const envShift = Math.round(coarse / hop);
+  let shifts = starts.map(() => 0);
+  let keep = starts.map(() => true);
+  for (let pass = 0; pass < 2; pass++) {
+    const template = new Float32Array(envLen);
+    starts.forEach((s, i) => { if (keep[i]) addInto(template, env, Math.floor((s + shifts[i]) / hop)); });
+    for (let i = 0; i < starts.length; i++) {
+      const base = Math.floor(starts[i] / hop);
+      let best = -Infinity, bestK = 0;
+      for (let k = -envShift; k <= envShift; k++) {
+        const c = normCorr(template, env, base + k);
+        if (c > best) { best = c; bestK = k; }
+      }
+      shifts[i] = bestK * hop;
+      keep[i] = best >= MIN_ENV_CORR;
+    }
+  }
+  starts = starts.filter((_, i) => keep[i]);
+  shifts = shifts.filter((_, i) => keep[i]);
+  if (starts.length < KEEPSAKE_MIN_BEATS) return null;
+
+  // Fine: to the sample, on the waveform around the beat
+  const first = new Float32Array(len);
+  starts.forEach((s, i) => addInto(first, samples, s + shifts[i]));
+  const w0 = Math.max(0, pre - Math.round((FINE_WINDOW_MS / 2000) * sampleRate));
+  const w1 = Math.min(len, pre + Math.round((FINE_WINDOW_MS / 2000) * sampleRate));
+  const beat = new Float32Array(len);
+  starts.forEach((s, i) => {
+    let best = -Infinity, bestK = 0;
+    for (let k = -fine; k <= fine; k++) {
+      let dot = 0;
+      const at = s + shifts[i] + k;
+      for (let j = w0; j < w1; j++) dot += first[j] * samples[at + j];
+      if (dot > best) { best = dot; bestK = k; }
+    }
+    addInto(beat, samples, s + shifts[i] + bestK);
+  });
+
+  removeDc(beat);
+  normalize(beat, PEAK_LEVEL);
+  return {
+    beat,
+    period,
+    bpm: Math.round((60 * sampleRate) / period),
+    used: starts.length,
+    rejected: beats.length - starts.length
+  };
+}
+
+// Lays the averaged beat end to end: seconds of audio at the beat's tempo,
+// with equal-power crossfades between beats and fades at both ends
+export function stitchBeats(avg, seconds, sampleRate) {
+  const { beat, period } = avg;
+  const xfade = beat.length - period;
+  const out = new Float32Array(Math.round(seconds * sampleRate));
+  const shaped = Float32Array.from(beat);
+  for (let i = 0; i < xfade; i++) {
+    const g = Math.sin(((i + 0.5) / xfade) * (Math.PI / 2));
+    shaped[i] *= g;
+    shaped[beat.length - 1 - i] *= g;
+  }
+  for (let at = 0; at < out.length; at += period) {
+    const n = Math.min(shaped.length, out.length - at);
+    for (let i = 0; i < n; i++) out[at + i] += shaped[i];
+  }
+  const fade = Math.min(Math.floor(out.length / 8), Math.round(TRACK_FADE_SEC * sampleRate));
+  for (let i = 0; i < fade; i++) {
+    const g = i / fade;
+    out[i] *= g;
+    out[out.length - 1 - i] *= g;
+  }
+  normalize(out, PEAK_LEVEL);
+  return out;
+}
+
+// → { samples, bpm, used, rejected, durationSec } or null (see averageBeats)
+export function buildKeepsake(samples, sampleRate, beats, opts = {}) {
+  const avg = averageBeats(samples, sampleRate, beats, opts);
+  if (!avg) return null;
+  const seconds = opts.seconds || KEEPSAKE_SECONDS;
+  return {
+    samples: stitchBeats(avg, seconds, sampleRate),
+    bpm: avg.bpm,
+    used: avg.used,
+    rejected: avg.rejected,
+    durationSec: seconds
+  };
+}
+
+// Beat period in samples. Missed beats only ever add multiples of it, so it
+// is the median of the intervals close to the short end (the lower quartile);
+// double triggers are already outside MIN/MAX_INTERVAL_MS
+export function beatPeriod(beats, sampleRate) {
+  const lo = (MIN_INTERVAL_MS / 1000) * sampleRate;
+  const hi = (MAX_INTERVAL_MS / 1000) * sampleRate;
+  const iv = [];
+  for (let i = 1; i < beats.length; i++) {
+    const d = beats[i] - beats[i - 1];
+    if (d >= lo && d <= hi) iv.push(d);
+  }
+  if (!iv.length) return 0;
+  iv.sort((a, b) => a - b);
+  const q = iv[Math.floor(iv.length / 4)];
+  return Math.round(median(iv.filter(d => d >= q * (1 - PERIOD_TOLERANCE) && d <= q * (1 + PERIOD_TOLERANCE))));
+}
+
+// ----- Helpers -----
+function envelope(samples, hop) {
+  const env = new Float32Array(Math.floor(samples.length / hop));
+  for (let k = 0; k < env.length; k++) {
+    let sum = 0;
+    for (let i = k * hop, end = i + hop; i < end; i++) sum += Math.abs(samples[i]);
+    env[k] = sum / hop;
+  }
+  return env;
+}
+
+function addInto(acc, src, at) {
+  for (let i = 0; i < acc.length; i++) acc[i] += src[at + i] || 0;
+}
+
+// Pearson correlation of template with src[at …]
+function normCorr(template, src, at) {
+  const n = template.length;
+  let sa = 0, sb = 0;
+  for (let i = 0; i < n; i++) { sa += template[i]; sb += src[at + i] || 0; }
+  const ma = sa / n, mb = sb / n;
+  let num = 0, da = 0, db = 0;
+  for (let i = 0; i < n; i++) {
+    const a = template[i] - ma;
+    const b = (src[at + i] || 0) - mb;
+    num += a * b;
+    da += a * a;
+    db += b * b;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+}
+
+function rms(buf, at, n) {
+  let sum = 0;
+  for (let i = at; i < at + n; i++) sum += buf[i] * buf[i];
+  return Math.sqrt(sum / n);
+}
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const m = v.length >> 1;
+  return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+}
+
+function removeDc(buf) {
+  let sum = 0;
+  for (let i = 0; i < buf.length; i++) sum += buf[i];
+  const mean = sum / buf.length;
+  for (let i = 0; i < buf.length; i++) buf[i] -= mean;
+}
+
+function normalize(buf, level) {
+  let peak = 0;
+  for (let i = 0; i < buf.length; i++) peak = Math.max(peak, Math.abs(buf[i]));
+  if (!peak) return;
+  const g = level / peak;
+  for (let i = 0; i < buf.length; i++) buf[i] *= g;
+}
@@ -0,0 +1,151 @@
+// babybeat-pcg.js
+// Scrolling phonocardiogram: draws the band-passed signal envelope across
+// time (mirrored, like a PCG strip) with a marker on every detected beat.
+// Keeps a longer history than it shows so the view can be frozen and
+// scrubbed back over the last few seconds.
+
+export class PhonocardiogramView {
+  constructor(canvas, opts = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.rate = opts.rate || 100;                   // envelope samples per second
+    this.windowSec = opts.windowSec || 6;           // visible span
+    this.historySec = opts.historySec || 30;        // kept for scrubbing
+
+    this.values = new Float32Array(Math.ceil(this.rate * this.historySec));
+    this.times  = new Float64Array(this.values.length);
+    this.head   = 0;
+    this.count  = 0;
+    this.beats  = [];                               // timestamps (ms)
+
+    this.scale   = 0.02;                            // auto-gain, follows recent peaks
+    this.frozen  = false;
+    this.frozenAt = 0;
+    this.scrubSec = 0;
+
+    this.cssW = 0;
+    this.cssH = 0;
+  }
+
+  // values arrive at `rate`; the last one belongs to `now`
+  push(values, now) {
+    const step = 1000 / this.rate;
+    for (let i = 0; i < values.length; i++) {
+      this.values[this.head] = values[i];
+      this.times[this.head] = now - (values.length - 1 - i) * step;
+      this.head = (this.head + 1) % this.values.length;
+      this.count = Math.min(this.count + 1, this.values.length);
+      this.scale = Math.max(values[i], this.scale * 0.999, 1e-4);
+    }
+  }
+
+  markBeat(ts) {
+    this.beats.push(ts);
+    const oldest = ts - this.historySec * 1000;
+    while (this.beats.length && this.beats[0] < oldest) this.beats.shift();
+  }
+
+  clear() {
+    this.head = 0;
+    this.count = 0;
+    this.beats = [];
+    this.frozen = false;
+    this.scrubSec = 0;
+    this.draw();
+  }
+
+  setFrozen(on) {
+    this.frozen = !!on;
+    this.frozenAt = this.latestTime();
+    this.scrubSec = 0;
+  }
+
+  // Seconds back from the freeze point (0 = the moment it was frozen)
+  scrub(sec) {
+    const maxBack = Math.max(0, this.historySec - this.windowSec);
+    this.scrubSec = Math.min(maxBack, Math.max(0, sec));
+  }
+
+  latestTime() {
+    if (!this.count) return 0;
+    return this.times[(this.head - 1 + this.values.length) % this.values.length];
+  }
+
+  resize() {
+    const dpr = globalThis.devicePixelRatio || 1;
+    const w = this.canvas.clientWidth;
+    const h = this.canvas.clientHeight;
+    if (w === this.cssW && h === this.cssH && this.canvas.width === Math.round(w * dpr)) return;
+    this.cssW = w;
+    this.cssH = h;
+    this.canvas.width = Math.round(w * dpr);
+    this.canvas.height = Math.round(h * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  draw() {
+    this.resize();
+    const { ctx, cssW: w, cssH: h } = this;
+    ctx.clearRect(0, 0, w, h);
+    if (!w || !h) return;
+
+    const end = this.frozen ? this.frozenAt - this.scrubSec * 1000 : this.latestTime();
+    const start = end - this.windowSec * 1000;
+    const x = t => ((t - start) / (end - start)) * w;
+    const mid = h / 2;
+
+    // 1 s grid
+    ctx.globalAlpha = .2;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let t = Math.ceil(start / 1000) * 1000; t <= end; t += 1000) {
+      ctx.moveTo(x(t), 0);
+      ctx.lineTo(x(t), h);
+    }
+    ctx.moveTo(0, mid);
+    ctx.lineTo(w, mid);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+
+    // Envelope, mirrored around the centre line
+    const grad = ctx.createLinearGradient(0, 0, w, 0);
+    grad.addColorStop(0, '#f87171'); grad.addColorStop(.5, '#fb923c'); grad.addColorStop(1, '#ffce79');
+    ctx.fillStyle = grad;
+    ctx.beginPath();
+    const n = this.values.length;
+    const first = (this.head - this.count + n) % n;
+    const amp = (h / 2 - 4) / this.scale;
+    const pts = [];
+    for (let i = 0; i < this.count; i++) {
+      const k = (first + i) % n;
+      const t = this.times[k];
+      if (t < start || t > end) continue;
+      pts.push([x(t), Math.min(h / 2 - 2, this.values[k] * amp)]);
+    }
+    if (pts.length > 1) {
+      ctx.moveTo(pts[0][0], mid - pts[0][1]);
+      for (const [px, py] of pts) ctx.lineTo(px, mid - py);
+      for (let i = pts.length - 1; i >= 0; i--) ctx.lineTo(pts[i][0], mid + pts[i][1]);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Beat markers
+    ctx.strokeStyle = '#5eead4';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const b of this.beats) {
+      if (b < start || b > end) continue;
+      ctx.moveTo(x(b), 4);
+      ctx.lineTo(x(b), h - 4);
+    }
+    ctx.stroke();
+
+    if (this.frozen) {
+      ctx.fillStyle = '#dbe3ff';
+      ctx.font = '600 12px system-ui, sans-serif';
+      ctx.fillText(this.scrubSec ? `Frozen · −${this.scrubSec.toFixed(1)} s` : 'Frozen', 10, 18);
+    }
+  }
+}
@@ -0,0 +1,181 @@
+// babybeat-pdf.js
+// Minimal PDF writer for the session report: pages with text in the two
+// built-in Helvetica fonts, lines, polylines and rectangles. Coordinates are
+// points from the top-left corner. No fonts are embedded and streams are not
+// compressed, so text is limited to WinAnsi (Latin-1 plus a few typographic
+// marks); anything else prints as '?'. DOM-free: toBytes() returns a Uint8Array.
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126
+const WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const BOLD_FACTOR = 1.06;      // close enough for wrapping
+
+// Unicode → WinAnsi for the characters outside Latin-1 that reports use
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+export class PdfDocument {
+  constructor(opts = {}) {
+    this.width  = opts.width || A4.width;
+    this.height = opts.height || A4.height;
+    this.info   = opts.info || {};      // { Title, Author, Subject, ... }
+    this.pages  = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    return this;
+  }
+
+  // opts: { size = 11, bold, color: [r, g, b] (0–1) }
+  text(x, y, str, opts = {}) {
+    const size = opts.size || 11;
+    this.ops.push(
+      'BT',
+      `${rgb(opts.color || [0, 0, 0])} rg`,
+      `/${opts.bold ? 'F2' : 'F1'} ${num(size)} Tf`,
+      `${num(x)} ${num(this.height - y)} Td`,
+      `(${escapeText(str)}) Tj`,
+      'ET'
+    );
+    return this;
+  }
+
+  textWidth(str, size = 11, bold = false) {
+    let units = 0;
+    for (const ch of String(str)) {
+      const code = ch.codePointAt(0);
+      units += code >= 32 && code <= 126 ? WIDTHS[code - 32] : 556;
+    }
+    return (units * size / 1000) * (bold ? BOLD_FACTOR : 1);
+  }
+
+  // Splits text into lines no wider than maxWidth (explicit newlines kept)
+  wrap(str, maxWidth, size = 11, bold = false) {
+    const lines = [];
+    for (const para of String(str).split(/\r?\n/)) {
+      let line = '';
+      for (const word of para.split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && this.textWidth(next, size, bold) > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = next;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  line(x1, y1, x2, y2, opts = {}) {
+    return this.polyline([[x1, y1], [x2, y2]], opts);
+  }
+
+  // opts: { width = 1, color, dash: [on, off] }
+  polyline(points, opts = {}) {
+    if (points.length < 2) return this;
+    this.ops.push('q', `${rgb(opts.color || [0, 0, 0])} RG`, `${num(opts.width || 1)} w`, '1 j 1 J');
+    if (opts.dash) this.ops.push(`[${opts.dash.map(num).join(' ')}] 0 d`);
+    const [first, ...rest] = points;
+    this.ops.push(`${num(first[0])} ${num(this.height - first[1])} m`);
+    for (const [x, y] of rest) this.ops.push(`${num(x)} ${num(this.height - y)} l`);
+    this.ops.push('S', 'Q');
+    return this;
+  }
+
+  // opts: { fill: [r, g, b], stroke: [r, g, b], width }
+  rect(x, y, w, h, opts = {}) {
+    const paint = opts.fill && opts.stroke ? 'B' : opts.fill ? 'f' : 'S';
+    this.ops.push('q');
+    if (opts.fill) this.ops.push(`${rgb(opts.fill)} rg`);
+    if (opts.stroke || !opts.fill) this.ops.push(`${rgb(opts.stroke || [0, 0, 0])} RG`, `${num(opts.width || 1)} w`);
+    this.ops.push(`${num(x)} ${num(this.height - y - h)} ${num(w)} ${num(h)} re`, paint, 'Q');
+    return this;
+  }
+
+  toBytes() {
+    const objects = [];                        // index + 1 = object number
+    const add = body => objects.push(body);   // → its object number
+
+    const catalog = add(null);                 // filled in once the page tree exists
+    const pagesId = add(null);
+    const f1 = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`);
+    const f2 = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`);
+
+    const kids = this.pages.map(ops => {
+      const content = ops.join('\n');
+      const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << /F1 ${f1} 0 R /F2 ${f2} 0 R >> >> /Contents ${stream} 0 R >>`
+      );
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    const info = { Producer: 'BabyBeat', CreationDate: pdfDate(new Date()), ...this.info };
+    const infoId = add(`<< ${Object.entries(info).map(([k, v]) => `/${k} (${escapeText(v)})`).join(' ')} >>`);
+
+    // Every string is already one byte per char, so lengths are byte offsets
+    let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, i) => {
+      const at = out.length;
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return at;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(out.length);
+    for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+    return bytes;
+  }
+}
+
+// ----- Helpers -----
+function num(v) {
+  return (Math.round(v * 100) / 100).toString();
+}
+
+function rgb([r, g, b]) {
+  return `${num(r)} ${num(g)} ${num(b)}`;
+}
+
+// WinAnsi bytes as a one-char-per-byte string, with PDF string escapes
+function escapeText(str) {
+  let out = '';
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0);
+    let byte;
+    if (/\s/.test(ch)) byte = 32;                         // incl. (narrow) no-break spaces
+    else if (code < 32) byte = 63;
+    else if (code < 128 || (code >= 160 && code < 256)) byte = code;
+    else byte = WIN_ANSI[ch] || 63;
+    const c = String.fromCharCode(byte);
+    out += c === '\\' || c === '(' || c === ')' ? `\\${c}` : c;
+  }
+  return out;
+}
+
+function pdfDate(d) {
+  const p = v => String(v).padStart(2, '0');
+  return `D:${d.getUTCFullYear()}${p(d.getUTCMonth() + 1)}${p(d.getUTCDate())}${p(d.getUTCHours())}${p(d.getUTCMinutes())}${p(d.getUTCSeconds())}Z`;
+}
@@ -0,0 +1,94 @@
+// babybeat-pipeline.js
+// Main-thread side of live detection (babybeat-detect-worklet.js): loads the
+// worklet into a context, wraps the node, and keeps the most recent audio in
+// a fixed-size ring buffer for enhanced playback and the AI hook.
+
+const WORKLET_URL = new URL('./babybeat-detect-worklet.js', import.meta.url);
+
+export const RECENT_SECONDS = 1.2;
+
+const loaded = new WeakMap();     // context → addModule promise
+
+// Resolves false when the browser has no AudioWorklet
+export async function loadPipeline(ctx) {
+  if (!ctx.audioWorklet) return false;
+  if (!loaded.has(ctx)) loaded.set(ctx, ctx.audioWorklet.addModule(WORKLET_URL));
+  try {
+    await loaded.get(ctx);
+    return true;
+  } catch (err) {
+    loaded.delete(ctx);
+    throw err;
+  }
+}
+
+// Connect the processed signal to input 0 and (optionally) a stereo probe to
+// input 1. onFrame receives every 'frame' message from the worklet.
+export class DetectionPipeline {
+  constructor(ctx, opts = {}) {
+    this.ctx = ctx;
+    this.node = new AudioWorkletNode(ctx, 'babybeat-detect', {
+      numberOfInputs: 2,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      processorOptions: { mode: opts.mode, thresholds: opts.thresholds }
+    });
+    this.node.port.onmessage = e => {
+      if (e.data?.type === 'frame' && opts.onFrame) opts.onFrame(e.data);
+    };
+    // The output stays silent, but the node must reach the destination to be pulled
+    this.node.connect(ctx.destination);
+  }
+
+  setMode(mode) {
+    this.node.port.postMessage({ type: 'mode', mode });
+  }
+
+  setThresholds(thresholds) {
+    this.node.port.postMessage({ type: 'thresholds', thresholds });
+  }
+
+  reset() {
+    this.node.port.postMessage({ type: 'reset' });
+  }
+
+  disconnect() {
+    try { this.node.disconnect(); } catch {}
+    this.node.port.onmessage = null;
+  }
+}
+
+// Fixed-size ring of the latest samples; writes never allocate
+export class SampleRing {
+  constructor(size) {
+    this.buf = new Float32Array(size);
+    this.head = 0;
+    this.length = 0;
+  }
+
+  write(samples) {
+    const size = this.buf.length;
+    const src = samples.length > size ? samples.subarray(samples.length - size) : samples;
+    const first = Math.min(src.length, size - this.head);
+    this.buf.set(src.subarray(0, first), this.head);
+    if (first < src.length) this.buf.set(src.subarray(first), 0);
+    this.head = (this.head + src.length) % size;
+    this.length = Math.min(size, this.length + src.length);
+  }
+
+  // Copy of the last n samples, oldest first
+  latest(n) {
+    n = Math.min(n, this.length);
+    const out = new Float32Array(n);
+    const start = (this.head - n + this.buf.length) % this.buf.length;
+    const first = Math.min(n, this.buf.length - start);
+    out.set(this.buf.subarray(start, start + first), 0);
+    if (first < n) out.set(this.buf.subarray(0, n - first), first);
+    return out;
+  }
+
+  clear() {
+    this.head = 0;
+    this.length = 0;
+  }
+}
@@ -0,0 +1,196 @@
+// babybeat-profiles.js
+// Microphone profiles. A profile describes the whole chain for one mic:
+// channel, bandpass centre and Q, gain curve (what the sensitivity slider
+// maps to), compressor settings and detection thresholds. Built-ins are
+// read-only; custom profiles live in localStorage and can be exported and
+// imported as small JSON files.
+
+import { DETECTION_MODES, PEAK_THRESHOLD, REFRACTORY_MS, QUALITY_MIN, clamp } from './babybeat-detector.js';
+import { CHANNEL_MODES } from './babybeat-channels.js';
+
+const STORAGE_KEY = 'babybeat.profiles';
+const CURRENT_KEY = 'babybeat.profile';
+
+export const PROFILE_FORMAT  = 'babybeat-profile';
+export const PROFILE_VERSION = 1;
+export const GAIN_CURVES     = ['linear', 'log'];
+export const FILTER_TYPES    = ['bandpass', 'hplp'];
+export const HUM_FREQS       = [0, 50, 60];     // 0 = notch off
+export const MAX_HARMONICS   = 4;
+export const DEFAULT_PROFILE = 'dji-mic-mini';
+
+// The original fixed chain: gain = sensitivity × 3, bandpass Q 3, compressor -50 dB / 12:1.
+// filter.type 'hplp' swaps the bandpass for separate high-pass/low-pass corners;
+// filter.notch removes mains hum (50/60 Hz) and its first notchHarmonics multiples.
+const BASE = {
+  channel: 'mix',
+  filter: { type: 'bandpass', hz: 60, q: 3, highpass: 25, lowpass: 200, notch: 0, notchHarmonics: 3 },
+  gain: { sensitivity: 7, curve: 'linear', min: 3, max: 30 },
+  compressor: { threshold: -50, knee: 40, ratio: 12, attack: 0.003, release: 0.25 },
+  denoise: { strength: 0.6 },
+  detection: { mode: 'peak', peakThreshold: PEAK_THRESHOLD, refractoryMs: REFRACTORY_MS, qualityMin: QUALITY_MIN }
+};
+
+const BUILTIN = [
+  { id: 'smartphone', name: 'Smartphone Built-in Mic',
+    filter: { hz: 60, q: 2 },
+    gain: { sensitivity: 8, curve: 'log', min: 4, max: 60 },
+    detection: { peakThreshold: 0.15 } },
+  { id: 'dji-mic-mini', name: 'DJI Mic Mini',
+    channel: 'right' },
+  { id: 'professional', name: 'Professional External Mic',
+    channel: 'left',
+    filter: { hz: 50, q: 3 },
+    gain: { sensitivity: 5 },
+    compressor: { threshold: -45, ratio: 8 } },
+  { id: 'stethoscope', name: 'Electronic Stethoscope',
+    channel: 'left',
+    filter: { type: 'hplp', hz: 80, highpass: 20, lowpass: 250 },
+    gain: { sensitivity: 4, min: 1, max: 15 },
+    compressor: { threshold: -40, ratio: 6 },
+    detection: { peakThreshold: 0.22, refractoryMs: 300 } },
+  { id: 'two-capsule', name: 'Two-capsule / Lavalier (auto channel)',
+    channel: 'auto' },
+  { id: 'custom', name: 'Custom Settings' }
+].map(p => ({ ...normalizeProfile(p), builtin: true }));
+
+// Slider position (1..10) → linear gain, spread linearly or logarithmically
+export function gainForSensitivity(profile, sensitivity) {
+  const { curve, min, max } = profile.gain;
+  const t = clamp((sensitivity - 1) / 9, 0, 1);
+  if (curve === 'log') return min * Math.pow(max / min, t);
+  return min + (max - min) * t;
+}
+
+// Fills gaps from the base profile and clamps everything to sane ranges,
+// so imported or hand-edited profiles can't break the chain
+export function normalizeProfile(p) {
+  if (!p || typeof p !== 'object') throw new Error('Profile must be an object.');
+  const f = { ...BASE.filter, ...p.filter };
+  const g = { ...BASE.gain, ...p.gain };
+  const c = { ...BASE.compressor, ...p.compressor };
+  const n = { ...BASE.denoise, ...p.denoise };
+  const d = { ...BASE.detection, ...p.detection };
+  const min = clamp(num(g.min, BASE.gain.min), 0.1, 100);
+  const highpass = clamp(num(f.highpass, BASE.filter.highpass), 10, 300);
+  return {
+    id: typeof p.id === 'string' ? p.id : null,
+    name: String(p.name || 'Untitled profile').slice(0, 60),
+    builtin: false,
+    channel: CHANNEL_MODES.includes(p.channel) ? p.channel : BASE.channel,
+    filter: {
+      type: FILTER_TYPES.includes(f.type) ? f.type : BASE.filter.type,
+      hz: clamp(num(f.hz, BASE.filter.hz), 10, 400),
+      q: clamp(num(f.q, BASE.filter.q), 0.3, 20),
+      highpass,
+      lowpass: clamp(num(f.lowpass, BASE.filter.lowpass), highpass + 10, 2000),
+      notch: HUM_FREQS.includes(num(f.notch, 0)) ? num(f.notch, 0) : 0,
+      notchHarmonics: Math.round(clamp(num(f.notchHarmonics, BASE.filter.notchHarmonics), 1, MAX_HARMONICS))
+    },
+    gain: {
+      sensitivity: Math.round(clamp(num(g.sensitivity, BASE.gain.sensitivity), 1, 10)),
+      curve: GAIN_CURVES.includes(g.curve) ? g.curve : BASE.gain.curve,
+      min,
+      max: clamp(num(g.max, BASE.gain.max), min, 200)
+    },
+    compressor: {
+      threshold: clamp(num(c.threshold, BASE.compressor.threshold), -100, 0),
+      knee: clamp(num(c.knee, BASE.compressor.knee), 0, 40),
+      ratio: clamp(num(c.ratio, BASE.compressor.ratio), 1, 20),
+      attack: clamp(num(c.attack, BASE.compressor.attack), 0, 1),
+      release: clamp(num(c.release, BASE.compressor.release), 0, 1)
+    },
+    denoise: {
+      strength: clamp(num(n.strength, BASE.denoise.strength), 0, 1)
+    },
+    detection: {
+      mode: DETECTION_MODES.includes(d.mode) ? d.mode : BASE.detection.mode,
+      peakThreshold: clamp(num(d.peakThreshold, PEAK_THRESHOLD), 0.01, 0.95),
+      refractoryMs: Math.round(clamp(num(d.refractoryMs, REFRACTORY_MS), 150, 1000)),
+      qualityMin: clamp(num(d.qualityMin, QUALITY_MIN), 0.1, 0.95)
+    }
+  };
+}
+
+// ----- Storage -----
+export function listProfiles() {
+  return [...BUILTIN, ...loadCustom()];
+}
+
+export function getProfile(id) {
+  return listProfiles().find(p => p.id === id) || null;
+}
+
+// Built-ins can't be overwritten: saving one (or anything without an id)
+// creates a new custom profile. Returns the stored copy.
+export function saveProfile(profile) {
+  const p = normalizeProfile(profile);
+  const custom = loadCustom();
+  const existing = custom.findIndex(c => c.id === p.id);
+  if (existing === -1) {
+    p.id = `custom-${Date.now().toString(36)}`;
+    custom.push(p);
+  } else {
+    custom[existing] = p;
+  }
+  storeCustom(custom);
+  return p;
+}
+
+export function deleteProfile(id) {
+  const custom = loadCustom();
+  const next = custom.filter(p => p.id !== id);
+  if (next.length === custom.length) return false;
+  storeCustom(next);
+  return true;
+}
+
+export function getCurrentProfileId() {
+  try { return localStorage.getItem(CURRENT_KEY) || DEFAULT_PROFILE; } catch { return DEFAULT_PROFILE; }
+}
+
+export function setCurrentProfileId(id) {
+  try { localStorage.setItem(CURRENT_KEY, id); } catch {}
+}
+
+// ----- Export / import -----
+export function exportProfile(profile) {
+  const { id, builtin, ...rest } = profile;
+  return JSON.stringify({ format: PROFILE_FORMAT, version: PROFILE_VERSION, profile: rest }, null, 2);
+}
+
+// Accepts an exported file (or a bare profile object); the result has no id,
+// so saving it always adds a new custom profile
+export function parseProfile(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error('Not a valid profile file (JSON expected).'); }
+  if (data && data.format === PROFILE_FORMAT) {
+    if (data.version > PROFILE_VERSION) throw new Error('Profile was made by a newer BabyBeat version.');
+    data = data.profile;
+  }
+  const p = normalizeProfile(data);
+  p.id = null;
+  return p;
+}
+
+function loadCustom() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(raw) ? raw.map(p => ({ ...normalizeProfile(p), id: p.id })) : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeCustom(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    throw new Error('Could not save profiles: ' + err.message);
+  }
+}
+
+function num(v, fallback) {
+  const n = typeof v === 'string' ? parseFloat(v) : v;
+  return Number.isFinite(n) ? n : fallback;
+}
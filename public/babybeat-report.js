@@ -0,0 +1,304 @@
+// babybeat-report.js
+// Printable session report for sharing with a midwife: date, mic profile,
+// duration, BPM min/mean/max, time spent in the fetal / maternal bands, the
+// BPM trend and the parent's notes. Exported as a standalone HTML page (print
+// it or "Save as PDF" from the browser) or as a PDF built on the device with
+// babybeat-pdf.js. Both are generated locally; nothing is uploaded.
+
+import { FETAL_MIN, FETAL_MAX, MATERNAL_MIN, MATERNAL_MAX, classifyBpm } from './babybeat-detector.js';
+import { summarizeSession, TREND_MIN_BPM, TREND_MAX_BPM } from './babybeat-history.js';
+import { PdfDocument } from './babybeat-pdf.js';
+
+export const DISCLAIMER =
+  'BabyBeat is not a medical device. These readings are for educational use only and must not be ' +
+  'used to make medical decisions. They do not replace professional prenatal care: if you are worried ' +
+  'about your baby\'s movements or heartbeat, contact your midwife or maternity unit straight away.';
+
+const MAX_POINT_MS = 5000;     // a series point never stands for more than this (gaps while stopped)
+
+// Shared by the HTML and PDF renderers; colors as [r, g, b] 0–255
+const RANGES = [
+  { id: 'fetal',    label: `Fetal range (${FETAL_MIN}–${FETAL_MAX} BPM)`,       color: [20, 160, 140] },
+  { id: 'maternal', label: `Maternal range (${MATERNAL_MIN}–${MATERNAL_MAX} BPM)`, color: [220, 80, 80] },
+  { id: 'other',    label: 'Outside both ranges',                              color: [230, 160, 40] },
+  { id: 'none',     label: 'No reliable reading',                              color: [170, 170, 180] }
+];
+const LINE_COLOR = [60, 70, 160];
+
+// ----- Report data -----
+// session: a stored history session; opts: { notes, generatedAt }
+export function buildReport(session, opts = {}) {
+  const sum = summarizeSession(session);
+  const series = session.bpmSeries || [];
+  return {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt || session.startedAt,
+    durationSec: sum.durationSec,
+    mic: session.micLabel || session.micProfile || 'Unknown mic',
+    mode: session.mode || null,
+    beats: sum.beats,
+    min: sum.min,
+    mean: sum.mean,
+    max: sum.max,
+    ranges: timeInRange(series, session.endedAt ? session.endedAt - session.startedAt : null),
+    series,
+    notes: (opts.notes ?? session.notes ?? '').trim(),
+    generatedAt: opts.generatedAt || Date.now()
+  };
+}
+
+// The live display's classification (rounded BPM), so the report and the
+// screen never disagree at a band edge
+export function rangeOf(bpm) {
+  return classifyBpm(bpm) || 'none';
+}
+
+// Each series point counts until the next one (the last until the session
+// ended). → [{ id, label, color, sec, pct }] in RANGES order
+export function timeInRange(series, endT = null) {
+  const ms = Object.fromEntries(RANGES.map(r => [r.id, 0]));
+  series.forEach((p, i) => {
+    const next = i + 1 < series.length ? series[i + 1].t : (endT ?? p.t + 1000);
+    ms[rangeOf(p.bpm)] += Math.max(0, Math.min(MAX_POINT_MS, next - p.t));
+  });
+  const total = Object.values(ms).reduce((a, b) => a + b, 0);
+  return RANGES.map(r => ({
+    ...r,
+    sec: Math.round(ms[r.id] / 1000),
+    pct: total ? Math.round((ms[r.id] / total) * 100) : 0
+  }));
+}
+
+// ----- Formatting -----
+export function formatDuration(sec) {
+  const s = Math.round(sec);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (h) return `${h} h ${m} min`;
+  return m ? `${m} min ${s % 60} s` : `${s % 60} s`;
+}
+
+function rows(report) {
+  const d = new Date(report.startedAt);
+  return [
+    ['Date', d.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })],
+    ['Time', `${d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })} – ` +
+      new Date(report.endedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })],
+    ['Duration', formatDuration(report.durationSec)],
+    ['Microphone profile', report.mic],
+    ['Detector', report.mode ? `${report.mode} mode` : '—'],
+    ['Beats detected', String(report.beats)],
+    ['BPM min / mean / max', report.mean ? `${report.min} / ${report.mean} / ${report.max}` : 'No stable BPM']
+  ];
+}
+
+export function reportFileName(report, ext) {
+  const d = new Date(report.startedAt);
+  const p = v => String(v).padStart(2, '0');
+  return `babybeat-report-${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}.${ext}`;
+}
+
+// ----- Chart geometry (shared) -----
+// → { bands: [{ y, h, color }], grid: [{ y, bpm }], ticks: [{ x, label }], lines: [[[x, y], ...]] }
+function chartLayout(series, w, h) {
+  const lo = TREND_MIN_BPM;
+  const hi = TREND_MAX_BPM;
+  const y = bpm => h - ((Math.min(hi, Math.max(lo, bpm)) - lo) / (hi - lo)) * h;
+  const bands = [
+    { min: FETAL_MIN, max: FETAL_MAX, color: RANGES[0].color },
+    { min: MATERNAL_MIN, max: MATERNAL_MAX, color: RANGES[1].color }
+  ].map(b => ({ y: y(b.max), h: y(b.min) - y(b.max), color: b.color }));
+
+  const grid = [];
+  for (let bpm = Math.ceil(lo / 25) * 25; bpm <= hi; bpm += 25) grid.push({ y: y(bpm), bpm });
+
+  const t0 = series.length ? series[0].t : 0;
+  const span = Math.max(1000, series.length ? series[series.length - 1].t - t0 : 0);
+  const stepMin = [1, 2, 5, 10, 15, 30, 60].find(m => span / 60000 / m <= 6) || 120;
+  const ticks = [];
+  for (let m = 0; m * 60000 <= span; m += stepMin) ticks.push({ x: (m * 60000 / span) * w, label: `${m} min` });
+
+  // Gaps (no reading) split the line
+  const lines = [];
+  let current = null;
+  for (const p of series) {
+    if (!p.bpm) { current = null; continue; }
+    if (!current) lines.push(current = []);
+    current.push([((p.t - t0) / span) * w, y(p.bpm)]);
+  }
+  return { bands, grid, ticks, lines };
+}
+
+// ----- HTML -----
+const esc = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const css = ([r, g, b], a = 1) => `rgba(${r},${g},${b},${a})`;
+
+function trendSvg(series) {
+  const W = 640, H = 220, L = 36, B = 22;
+  const c = chartLayout(series, W - L, H - B);
+  const parts = [
+    ...c.bands.map(b => `<rect x="${L}" y="${b.y.toFixed(1)}" width="${W - L}" height="${b.h.toFixed(1)}" fill="${css(b.color, 0.15)}"/>`),
+    ...c.grid.map(g => `<line x1="${L}" x2="${W}" y1="${g.y.toFixed(1)}" y2="${g.y.toFixed(1)}" stroke="#ccc" stroke-width="0.5"/>` +
+      `<text x="${L - 6}" y="${(g.y + 3).toFixed(1)}" text-anchor="end">${g.bpm}</text>`),
+    ...c.ticks.map(t => `<text x="${(L + t.x).toFixed(1)}" y="${H - 6}" text-anchor="middle">${esc(t.label)}</text>`),
+    ...c.lines.map(pts => pts.length === 1
+      ? `<circle cx="${(L + pts[0][0]).toFixed(1)}" cy="${pts[0][1].toFixed(1)}" r="1.5" fill="${css(LINE_COLOR)}"/>`
+      : `<polyline fill="none" stroke="${css(LINE_COLOR)}" stroke-width="1.6" stroke-linejoin="round" points="${
+        pts.map(([x, y]) => `${(L + x).toFixed(1)},${y.toFixed(1)}`).join(' ')}"/>`)
+  ];
+  return `<svg viewBox="0 0 ${W} ${H}" role="img" aria-label="BPM trend" font-size="10" fill="#555">${parts.join('')}</svg>`;
+}
+
+// Standalone page; its only script is the Print button
+export function reportHtml(report) {
+  const ranges = report.ranges.filter(r => r.sec > 0 || r.id !== 'other');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>BabyBeat report — ${esc(new Date(report.startedAt).toLocaleString())}</title>
+<style>
+  body{font-family:ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;color:#222;max-width:720px;margin:24px auto;padding:0 16px}
+  h1{font-size:22px;margin:0 0 4px 0}
+  h2{font-size:15px;margin:22px 0 8px 0}
+  .sub{color:#666;font-size:13px}
+  table{border-collapse:collapse;width:100%;font-size:14px}
+  td{padding:4px 6px;border-bottom:1px solid #e3e3e3}
+  td:first-child{color:#555;width:40%}
+  .bar{display:flex;height:14px;border-radius:4px;overflow:hidden;margin-bottom:8px}
+  .swatch{display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:6px}
+  .num{text-align:right;font-variant-numeric:tabular-nums}
+  svg{width:100%;height:auto}
+  .notes{white-space:pre-wrap;border:1px solid #ddd;border-radius:6px;padding:8px 10px;min-height:3em;font-size:14px}
+  .disclaimer{margin-top:22px;padding:10px 12px;border:1px solid #e0a0a0;background:#fff4f4;border-radius:6px;font-size:12px}
+  .foot{margin-top:12px;color:#888;font-size:11px}
+  .print{margin:16px 0;padding:8px 14px;font-size:14px;cursor:pointer}
+  *{-webkit-print-color-adjust:exact;print-color-adjust:exact}
+  @media print{.print{display:none}body{margin:0}}
+</style>
+</head>
+<body>
+<h1>BabyBeat session report</h1>
+<div class="sub">${esc(new Date(report.startedAt).toLocaleString())}</div>
+<button class="print" onclick="print()">Print / Save as PDF</button>
+
+<h2>Session</h2>
+<table>${rows(report).map(([k, v]) => `<tr><td>${esc(k)}</td><td>${esc(v)}</td></tr>`).join('')}</table>
+
+<h2>Time in range</h2>
+<div class="bar">${ranges.filter(r => r.pct > 0).map(r => `<div style="width:${r.pct}%;background:${css(r.color)}" title="${esc(r.label)}"></div>`).join('')}</div>
+<table>${ranges.map(r => `<tr><td><span class="swatch" style="background:${css(r.color)}"></span>${esc(r.label)}</td>` +
+  `<td class="num">${esc(formatDuration(r.sec))}</td><td class="num">${r.pct}%</td></tr>`).join('')}</table>
+
+<h2>BPM trend</h2>
+${trendSvg(report.series)}
+<div class="sub">Shaded: fetal range (green) and maternal range (red). Gaps mean no reliable reading.</div>
+
+<h2>Notes</h2>
+<div class="notes">${esc(report.notes || '')}</div>
+
+<div class="disclaimer"><strong>Important:</strong> ${esc(DISCLAIMER)}</div>
+<div class="foot">Generated by BabyBeat on ${esc(new Date(report.generatedAt).toLocaleString())} · session ${esc(report.id || '')}</div>
+</body>
+</html>
+`;
+}
+
+// ----- PDF -----
+const MARGIN = 48;
+const unit = ([r, g, b]) => [r / 255, g / 255, b / 255];
+const mix = (c, a) => c.map(v => (v * a + 255 * (1 - a)) / 255);    // color at alpha a over white
+const GREY = [0.4, 0.4, 0.4];
+
+export function reportPdf(report) {
+  const doc = new PdfDocument({
+    info: { Title: 'BabyBeat session report', Subject: new Date(report.startedAt).toLocaleString() }
+  });
+  const W = doc.width - 2 * MARGIN;
+  let y = MARGIN;
+
+  // Starts a new page if the next `h` points don't fit
+  const room = h => {
+    if (y + h <= doc.height - MARGIN) return;
+    doc.addPage();
+    y = MARGIN;
+  };
+  const heading = text => {
+    room(40);
+    y += 22;
+    doc.text(MARGIN, y, text, { size: 13, bold: true });
+    y += 8;
+  };
+
+  doc.text(MARGIN, y + 16, 'BabyBeat session report', { size: 20, bold: true });
+  y += 34;
+  doc.text(MARGIN, y, new Date(report.startedAt).toLocaleString(), { size: 10, color: GREY });
+
+  heading('Session');
+  for (const [k, v] of rows(report)) {
+    y += 16;
+    doc.text(MARGIN, y, k, { size: 10, color: GREY });
+    doc.text(MARGIN + 170, y, v, { size: 11 });
+    doc.line(MARGIN, y + 5, MARGIN + W, y + 5, { width: 0.4, color: [0.88, 0.88, 0.88] });
+  }
+
+  heading('Time in range');
+  y += 4;
+  let x = MARGIN;
+  for (const r of report.ranges) {
+    const w = (r.pct / 100) * W;
+    if (w > 0) doc.rect(x, y, w, 12, { fill: unit(r.color) });
+    x += w;
+  }
+  if (x === MARGIN) doc.rect(MARGIN, y, W, 12, { stroke: [0.8, 0.8, 0.8], width: 0.5 });
+  y += 14;
+  for (const r of report.ranges) {
+    if (r.id === 'other' && !r.sec) continue;
+    y += 16;
+    doc.rect(MARGIN, y - 8, 8, 8, { fill: unit(r.color) });
+    doc.text(MARGIN + 14, y, r.label, { size: 10 });
+    const dur = formatDuration(r.sec);
+    doc.text(MARGIN + 330 - doc.textWidth(dur, 10), y, dur, { size: 10 });
+    doc.text(MARGIN + 390 - doc.textWidth(`${r.pct}%`, 10), y, `${r.pct}%`, { size: 10 });
+  }
+
+  heading('BPM trend');
+  const L = 28, CH = 170, CB = 16;
+  room(CH + CB + 30);
+  y += 6;
+  const c = chartLayout(report.series, W - L, CH);
+  const ox = MARGIN + L;
+  for (const b of c.bands) doc.rect(ox, y + b.y, W - L, b.h, { fill: mix(b.color, 0.18) });
+  for (const g of c.grid) {
+    doc.line(ox, y + g.y, ox + W - L, y + g.y, { width: 0.4, color: [0.8, 0.8, 0.8] });
+    doc.text(ox - 6 - doc.textWidth(String(g.bpm), 8), y + g.y + 3, String(g.bpm), { size: 8, color: GREY });
+  }
+  for (const t of c.ticks) doc.text(ox + t.x - doc.textWidth(t.label, 8) / 2, y + CH + 12, t.label, { size: 8, color: GREY });
+  for (const pts of c.lines) {
+    const shifted = pts.map(([px, py]) => [ox + px, y + py]);
+    if (shifted.length === 1) shifted.push([shifted[0][0] + 0.5, shifted[0][1]]);
+    doc.polyline(shifted, { width: 1.4, color: unit(LINE_COLOR) });
+  }
+  y += CH + CB + 10;
+  doc.text(MARGIN, y, 'Shaded: fetal range (green) and maternal range (red). Gaps mean no reliable reading.', { size: 8, color: GREY });
+
+  heading('Notes');
+  const notes = report.notes ? doc.wrap(report.notes, W - 16, 10) : ['(none)'];
+  for (const line of notes) {
+    room(14);
+    y += 14;
+    doc.text(MARGIN + 8, y, line, { size: 10, color: report.notes ? [0, 0, 0] : GREY });
+  }
+
+  const disclaimer = doc.wrap(`Important: ${DISCLAIMER}`, W - 20, 9);
+  room(disclaimer.length * 12 + 50);
+  y += 22;
+  doc.rect(MARGIN, y, W, disclaimer.length * 12 + 12, { fill: [1, 0.96, 0.96], stroke: [0.88, 0.63, 0.63], width: 0.6 });
+  disclaimer.forEach((line, i) => doc.text(MARGIN + 10, y + 16 + i * 12, line, { size: 9 }));
+  y += disclaimer.length * 12 + 28;
+  doc.text(MARGIN, y, `Generated by BabyBeat on ${new Date(report.generatedAt).toLocaleString()} · session ${report.id || ''}`,
+    { size: 8, color: GREY });
+
+  return new Blob([doc.toBytes()], { type: 'application/pdf' });
+}
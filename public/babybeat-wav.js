@@ -0,0 +1,134 @@
+// babybeat-wav.js
+// 16-bit PCM WAV encoder with beat markers. Beats go in a `cue ` chunk
+// (with `labl` names in LIST/adtl, which most editors show as markers) and
+// BPM/session metadata in LIST/INFO. DOM-free: returns an ArrayBuffer.
+
+// cues: [{ sample, label }]   info: { INAM, ICMT, ICRD, ISFT, ... } (4-char ids)
+export function encodeWav(samples, sampleRate, opts = {}) {
+  const cues = opts.cues || [];
+  const info = opts.info || {};
+
+  const chunks = [
+    fmtChunk(sampleRate),
+    dataChunk(samples)
+  ];
+  if (cues.length) {
+    chunks.push(cueChunk(cues));
+    chunks.push(listChunk('adtl', cues.map((c, i) => lablChunk(i + 1, c.label || `Beat ${i + 1}`))));
+  }
+  const infoEntries = Object.entries(info).filter(([, v]) => v != null && v !== '');
+  if (infoEntries.length) {
+    chunks.push(listChunk('INFO', infoEntries.map(([id, v]) => chunk(id, zstr(String(v))))));
+  }
+
+  const body = concat(chunks);
+  const out = new Uint8Array(12 + body.length);
+  const view = new DataView(out.buffer);
+  writeId(out, 0, 'RIFF');
+  view.setUint32(4, 4 + body.length, true);
+  writeId(out, 8, 'WAVE');
+  out.set(body, 12);
+  return out.buffer;
+}
+
+// JSON sidecar describing the same beats, for tools that ignore cue chunks
+export function buildSidecar({ sampleRate, length, beats, startedAt, mode, bpm, wavFile }) {
+  return {
+    format: 'babybeat-beats',
+    version: 1,
+    wavFile: wavFile || null,
+    recordedAt: startedAt ? new Date(startedAt).toISOString() : null,
+    sampleRate,
+    durationSec: length / sampleRate,
+    mode: mode || null,
+    bpm: bpm || null,
+    beats: beats.map(b => ({
+      timeSec: +(b.sample / sampleRate).toFixed(4),
+      sample: b.sample,
+      bpm: b.bpm || null
+    }))
+  };
+}
+
+// ----- Chunks -----
+function fmtChunk(sampleRate) {
+  const b = new Uint8Array(16);
+  const v = new DataView(b.buffer);
+  v.setUint16(0, 1, true);                  // PCM
+  v.setUint16(2, 1, true);                  // mono
+  v.setUint32(4, sampleRate, true);
+  v.setUint32(8, sampleRate * 2, true);     // byte rate
+  v.setUint16(12, 2, true);                 // block align
+  v.setUint16(14, 16, true);                // bits per sample
+  return chunk('fmt ', b);
+}
+
+function dataChunk(samples) {
+  const b = new Uint8Array(samples.length * 2);
+  const v = new DataView(b.buffer);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    v.setInt16(i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return chunk('data', b);
+}
+
+function cueChunk(cues) {
+  const b = new Uint8Array(4 + cues.length * 24);
+  const v = new DataView(b.buffer);
+  v.setUint32(0, cues.length, true);
+  cues.forEach((c, i) => {
+    const o = 4 + i * 24;
+    v.setUint32(o, i + 1, true);            // cue id
+    v.setUint32(o + 4, c.sample, true);     // play order position
+    writeId(b, o + 8, 'data');
+    v.setUint32(o + 12, 0, true);           // chunk start
+    v.setUint32(o + 16, 0, true);           // block start
+    v.setUint32(o + 20, c.sample, true);    // sample offset
+  });
+  return chunk('cue ', b);
+}
+
+function lablChunk(id, text) {
+  const str = zstr(text);
+  const b = new Uint8Array(4 + str.length);
+  new DataView(b.buffer).setUint32(0, id, true);
+  b.set(str, 4);
+  return chunk('labl', b);
+}
+
+function listChunk(type, subchunks) {
+  const body = concat(subchunks);
+  const b = new Uint8Array(4 + body.length);
+  writeId(b, 0, type);
+  b.set(body, 4);
+  return chunk('LIST', b);
+}
+
+// id + size + payload, padded to an even length as RIFF requires
+function chunk(id, payload) {
+  const padded = payload.length + (payload.length & 1);
+  const b = new Uint8Array(8 + padded);
+  writeId(b, 0, id);
+  new DataView(b.buffer).setUint32(4, payload.length, true);
+  b.set(payload, 8);
+  return b;
+}
+
+function zstr(text) {
+  const bytes = new TextEncoder().encode(text);
+  const out = new Uint8Array(bytes.length + 1);
+  out.set(bytes);
+  return out;
+}
+
+function writeId(buf, offset, id) {
+  for (let i = 0; i < 4; i++) buf[offset + i] = id.charCodeAt(i);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
@@ -1,15 +1,23 @@
 // main.js
 // Wires the UI to the BabyBeat core and handles tabs.
 
-import { initBabyBeat } from './babybeat-core.js';
+import { saveSession, listSessions, deleteSession, summarizeSession, drawTrend } from './babybeat-history.js';
+import { FETAL_MIN, FETAL_MAX, MATERNAL_MIN, MATERNAL_MAX } from './babybeat-detector.js';
+import { buildReport, reportHtml, reportPdf, reportFileName } from './babybeat-report.js';
 
-function setupTabs() {
+const TREND_BANDS = [
+  { min: FETAL_MIN, max: FETAL_MAX, color: 'rgba(94,234,212,.12)' },
+  { min: MATERNAL_MIN, max: MATERNAL_MAX, color: 'rgba(255,107,107,.10)' }
+];
+
+function setupTabs(onSelect) {
   const tabs = Array.from(document.querySelectorAll('.tab'));
   const panels = Array.from(document.querySelectorAll('.tabpanel'));
 
   function setTab(idx) {
     tabs.forEach((t, i) => t.setAttribute('aria-selected', i === idx ? 'true' : 'false'));
     panels.forEach((p, i) => p.classList.toggle('active', i === idx));
+    if (onSelect) onSelect(panels[idx].id);
   }
 
   tabs.forEach((t, i) => {
@@ -21,8 +29,261 @@ function setupTabs() {
   });
 }
 
+// ---------- Access ----------
+// /api/app only serves this page to an admin or a valid access token, and the
+// token travels as an HttpOnly cookie, so the calls below just send cookies:
+// /api/session-status says how much access is left, /api/core-url trades one
+// use for a signed, short-lived core URL.
+const ACCESS_POLL_MS = 30000;
+
+const LOCK_REASONS = {
+  missing: 'No access yet.',
+  unknown: 'This access link is not valid.',
+  expired: 'Your session time is over.',
+  'used-up': 'This access has been used up.',
+  revoked: 'Access was withdrawn (refunded payment or cancelled by support).'
+};
+
+async function sessionStatus() {
+  try {
+    const r = await fetch('/api/session-status', { credentials: 'include', cache: 'no-store' });
+    return await r.json();
+  } catch {
+    return { valid: false, reason: 'unknown' };
+  }
+}
+
+// Fetching with the integrity value makes the browser check the bytes, and
+// those same bytes are imported from a blob: URL, so nothing unchecked runs.
+// A blob has no path to resolve against: the core's '/babybeat-….js' imports
+// are pointed at this origin first (those modules are public, not checked).
+const CORE_IMPORT_RE = /(\bfrom\s*|\bimport\s*\(\s*)(['"])\//g;
+
+async function loadCore() {
+  const r = await fetch('/api/core-url', { method: 'POST', credentials: 'include' });
+  const core = await r.json();
+  if (!r.ok) throw Object.assign(new Error(core.error || 'Core unavailable'), { reason: core.reason });
+  const check = await fetch(core.url, { integrity: core.integrity, credentials: 'include' });
+  if (!check.ok) throw new Error(`Core download failed (${check.status})`);
+  const code = (await check.text()).replace(CORE_IMPORT_RE, `$1$2${location.origin}/`);
+  const url = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+  try {
+    return await import(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function showLocked(reason) {
+  const el = document.querySelector('#accessLocked');
+  if (!el) return;
+  el.hidden = false;
+  el.textContent = (LOCK_REASONS[reason] || LOCK_REASONS.unknown) + ' ';
+  const link = document.createElement('a');
+  link.href = '/';
+  link.textContent = 'Get a new session';
+  el.appendChild(link);
+  document.querySelectorAll('#detector button, #detector input, #detector select').forEach(c => { c.disabled = true; });
+}
+
+function showAdmin(el) {
+  el.textContent = 'Admin access · ';
+  const dash = document.createElement('a');
+  dash.href = '/admin.html';
+  dash.textContent = 'Dashboard';
+  el.append(dash, ' · ');
+  const out = document.createElement('a');
+  out.href = '/';
+  out.textContent = 'Log out';
+  out.addEventListener('click', async e => {
+    e.preventDefault();
+    await fetch('/api/admin-logout', { method: 'POST', credentials: 'include' }).catch(() => {});
+    location.assign('/');
+  });
+  el.appendChild(out);
+}
+
+function formatRemaining(ms) {
+  const mins = Math.ceil(ms / 60000);
+  return mins >= 60 ? `${Math.floor(mins / 60)} h ${mins % 60} min` : `${mins} min`;
+}
+
+// Counts down locally and re-checks with the server now and then; ends the
+// session when time is up or the payment was refunded. Running out of uses
+// only matters for the next page load.
+function watchAccess(status, onEnd) {
+  const el = document.querySelector('#accessInfo');
+  if (status.admin) {
+    if (el) showAdmin(el);
+    return;
+  }
+  let expiresAt = Date.parse(status.expiresAt);
+  let lastPoll = Date.now();
+
+  const timer = setInterval(async () => {
+    if (Date.now() - lastPoll >= ACCESS_POLL_MS) {
+      lastPoll = Date.now();
+      const s = await sessionStatus();
+      if (s.expiresAt) expiresAt = Date.parse(s.expiresAt);
+      if (!s.valid && s.reason !== 'used-up') return end(s.reason);
+    }
+    const left = expiresAt - Date.now();
+    if (left <= 0) return end('expired');
+    if (el) el.textContent = `Session: ${formatRemaining(left)} left`;
+  }, 1000);
+
+  function end(reason) {
+    clearInterval(timer);
+    if (el) el.textContent = '';
+    onEnd(reason);
+  }
+}
+
+// ---------- History ----------
+// Blob URLs of the recordings on screen, revoked when the list is redrawn
+const recordingUrls = new Set();
+
+function revokeRecordingUrls() {
+  recordingUrls.forEach(url => URL.revokeObjectURL(url));
+  recordingUrls.clear();
+}
+
+async function renderHistory(container) {
+  if (!container) return;
+  let sessions;
+  try {
+    sessions = await listSessions();
+  } catch (e) {
+    revokeRecordingUrls();
+    container.textContent = 'History unavailable: ' + e.message;
+    return;
+  }
+
+  revokeRecordingUrls();
+  container.textContent = '';
+  if (!sessions.length) {
+    container.textContent = 'No sessions yet. Start listening on the Detector tab and stop when you are done.';
+    return;
+  }
+
+  const canvases = [];
+  for (const s of sessions) {
+    const item = sessionItem(s, () => renderHistory(container));
+    container.appendChild(item.el);
+    canvases.push([item.canvas, s.bpmSeries]);
+  }
+  // Draw after layout so the canvases know their size
+  requestAnimationFrame(() => {
+    canvases.forEach(([c, series]) => drawTrend(c, series, { bands: TREND_BANDS }));
+  });
+}
+
+function sessionItem(s, onChange) {
+  const sum = summarizeSession(s);
+  const el = document.createElement('div');
+  el.className = 'history-item';
+
+  const title = document.createElement('h5');
+  const mins = Math.floor(sum.durationSec / 60);
+  const secs = Math.round(sum.durationSec % 60);
+  title.textContent = `${new Date(s.startedAt).toLocaleString()} — ${mins}m ${secs}s`;
+  el.appendChild(title);
+
+  const info = document.createElement('div');
+  info.className = 'val';
+  info.textContent = `${s.micLabel || s.micProfile || 'Unknown mic'} · ${s.mode} detector · ${sum.beats} beats · ` +
+    (sum.mean ? `BPM min ${sum.min} / mean ${sum.mean} / max ${sum.max}` : 'no stable BPM');
+  el.appendChild(info);
+
+  const canvas = document.createElement('canvas');
+  canvas.setAttribute('aria-label', 'BPM trend');
+  el.appendChild(canvas);
+
+  const row = document.createElement('div');
+  row.className = 'row';
+  for (const rec of s.recordings || []) {
+    const audio = document.createElement('audio');
+    audio.controls = true;
+    audio.src = URL.createObjectURL(rec.blob);
+    recordingUrls.add(audio.src);
+    row.appendChild(audio);
+  }
+  const del = document.createElement('button');
+  del.className = 'btn btn-ghost';
+  del.textContent = '🗑 Delete';
+  del.addEventListener('click', async () => {
+    await deleteSession(s.id).catch(e => console.error(e));
+    onChange();
+  });
+  row.appendChild(del);
+  el.appendChild(row);
+  el.appendChild(reportPanel(s));
+
+  return { el, canvas };
+}
+
+// Notes are stored with the session so a report can be regenerated later
+function reportPanel(s) {
+  const panel = document.createElement('details');
+  panel.className = 'report-panel';
+  const summary = document.createElement('summary');
+  summary.textContent = '📄 Report for your midwife';
+  panel.appendChild(summary);
+
+  const notes = document.createElement('textarea');
+  notes.rows = 3;
+  notes.placeholder = 'Notes (optional): week of pregnancy, how you felt, what the midwife should know…';
+  notes.value = s.notes || '';
+  notes.addEventListener('change', () => {
+    s.notes = notes.value;
+    saveSession(s).catch(e => console.error('[history] notes not saved', e));
+  });
+  panel.appendChild(notes);
+
+  const row = document.createElement('div');
+  row.className = 'row';
+  const print = document.createElement('button');
+  print.className = 'btn btn-ghost';
+  print.textContent = '🖨 Printable report';
+  print.addEventListener('click', () => {
+    const html = reportHtml(buildReport(s, { notes: notes.value }));
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  });
+  const pdf = document.createElement('button');
+  pdf.className = 'btn btn-ghost';
+  pdf.textContent = '⬇ PDF';
+  pdf.addEventListener('click', () => {
+    const report = buildReport(s, { notes: notes.value });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(reportPdf(report));
+    a.download = reportFileName(report, 'pdf');
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 60000);
+  });
+  row.append(print, pdf);
+  panel.appendChild(row);
+  return panel;
+}
+
 window.addEventListener('DOMContentLoaded', async () => {
-  setupTabs();
+  const historyList = document.querySelector('#historyList');
+  setupTabs(id => { if (id === 'history') renderHistory(historyList); });
+
+  const access = await sessionStatus();
+  if (!access.valid) {
+    showLocked(access.reason);
+    return;
+  }
+  let initBabyBeat;
+  try {
+    ({ initBabyBeat } = await loadCore());
+  } catch (e) {
+    console.error('[access] core failed to load', e);
+    showLocked(e.reason || 'unknown');
+    return;
+  }
 
   const engine = await initBabyBeat({
     elements: {
@@ -30,9 +291,17 @@ window.addEventListener('DOMContentLoaded', async () => {
       stop: '#stopBtn',
       monitor: '#monitorBtn',
       playEnhanced: '#playEnhancedBtn',
+      keepsake: '#keepsakeBtn',
       record: '#recBtn',
 
       micType: '#micType',
+      profileForm: '#profileForm',
+      profileSave: '#profileSaveBtn',
+      profileSaveAs: '#profileSaveAsBtn',
+      profileDelete: '#profileDeleteBtn',
+      profileExport: '#profileExportBtn',
+      profileImport: '#profileImport',
+      detectMode: '#detectMode',
 
       sensitivity: '#sensitivity',
       sensitivityValue: '#sensitivityValue',
@@ -40,24 +309,58 @@ window.addEventListener('DOMContentLoaded', async () => {
       filterValue: '#filterValue',
       monitorVol: '#monitorVol',
       monitorVolValue: '#monitorVolValue',
+      denoiseStrength: '#denoiseStrength',
+      denoiseValue: '#denoiseValue',
+      captureNoise: '#captureNoiseBtn',
+      clearNoise: '#clearNoiseBtn',
+      noiseInfo: '#noiseInfo',
 
       status: '#status',
-      waveform: '#waveform',
+      pcg: '#pcgCanvas',
+      pcgFreeze: '#pcgFreezeBtn',
+      pcgScrub: '#pcgScrub',
       pulse: '#pulse',
 
       bpm: '#bpm-main',
       bpmMaternal: '#bpm-maternal',
+      bpmDetail: '#bpm-detail',
+      qualityBar: '#qualityBar',
+      qualityValue: '#qualityValue',
+      channelInfo: '#channelInfo',
+      aiInfo: '#aiInfo',
+      aiToggle: '#aiToggle',
 
       playbackArea: '#playbackArea',
       playbackAudio: '#playbackAudio',
-      downloadLink: '#downloadLink'
+      downloadLink: '#downloadLink',
+      downloadWav: '#downloadWav',
+      downloadJson: '#downloadJson',
+      keepsakeArea: '#keepsakeArea',
+      keepsakeAudio: '#keepsakeAudio',
+      downloadKeepsake: '#downloadKeepsake',
+
+      analyzeFile: '#analyzeFile',
+      analyzeBtn: '#analyzeBtn',
+      analyzeResult: '#analyzeResult'
     },
     ai: {
       enabled: false,
-      endpoint: null
+      endpoint: '/api/analyze'
     }
   });
 
+  engine.on('session', e => {
+    if (e.state !== 'ended') return;
+    saveSession(e.session)
+      .then(() => renderHistory(historyList))
+      .catch(err => console.error('[history] save failed', err));
+  });
+
+  watchAccess(access, reason => {
+    engine.stop();
+    showLocked(reason);
+  });
+
   // Optional: make available in devtools
   window.babyBeatEngine = engine;
 });
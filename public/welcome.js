@@ -1,29 +1,58 @@
 // welcome.js
-// Handles Stripe checkout from index.html
+// Handles checkout from index.html (Stripe, or the offline fake provider):
+// tiers (data-checkout="<product>"), promo codes (?promo=CODE is passed on)
+// and sessions left on the balance
 
-async function getStripe() {
-  const r = await fetch("/api/config");
-  const text = await r.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch (e) {
-    console.error("CONFIG returned non-JSON:", r.status, text);
-    throw new Error("Config route not returning JSON");
-  }
-  if (!r.ok) throw new Error(data.error || "Failed to load Stripe config");
-  if (!data.publishableKey) throw new Error("Missing STRIPE_PUBLISHABLE_KEY");
-  return Stripe(data.publishableKey);
+let configPromise = null;
+
+function loadConfig() {
+  configPromise ||= (async () => {
+    const r = await fetch("/api/config");
+    const text = await r.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      console.error("CONFIG returned non-JSON:", r.status, text);
+      throw new Error("Config route not returning JSON");
+    }
+    if (!r.ok) throw new Error(data.error || "Failed to load checkout config");
+    return data;
+  })();
+  configPromise.catch(() => { configPromise = null; });
+  return configPromise;
 }
 
-window.startCheckout = async function () {
+// How each payment provider (/api/config says which) sends the buyer to its
+// checkout page, given the response of /api/create-checkout-session
+const CHECKOUT_PROVIDERS = {
+  stripe: {
+    async redirect(checkout, config) {
+      if (typeof Stripe !== "function") throw new Error("Stripe.js did not load");
+      if (!config.publishableKey) throw new Error("Missing STRIPE_PUBLISHABLE_KEY");
+      const { error } = await Stripe(config.publishableKey).redirectToCheckout({ sessionId: checkout.id });
+      if (error) throw error;
+    }
+  },
+  // Offline test checkout served by /api/fake-checkout
+  fake: {
+    async redirect(checkout) {
+      location.assign(checkout.url);
+    }
+  }
+};
+
+window.startCheckout = async function (product) {
   try {
-    const stripe = await getStripe();
+    const config = await loadConfig();
+    const provider = CHECKOUT_PROVIDERS[config.provider];
+    if (!provider) throw new Error(`Unsupported payment provider "${config.provider}"`);
+    const promo = new URLSearchParams(location.search).get("promo") || undefined;
     const r = await fetch("/api/create-checkout-session", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       credentials: "include",
-      body: JSON.stringify({})
+      body: JSON.stringify({ product, promo })
     });
 
     const bodyText = await r.text();
@@ -42,18 +71,132 @@ window.startCheckout = async function () {
       return;
     }
 
-    await stripe.redirectToCheckout({ sessionId: data.id });
+    await provider.redirect(data, config);
   } catch (e) {
     console.error(e);
     alert(e.message || "Checkout config error");
   }
 };
 
+// Hide tiers that aren't on sale and show the real Stripe prices
+async function showPlans() {
+  let products;
+  try {
+    ({ products = [] } = await loadConfig());
+  } catch {
+    return;
+  }
+  const onSale = new Map(products.map(p => [p.id, p]));
+  document.querySelectorAll("[data-plan]").forEach(el => {
+    el.hidden = !onSale.has(el.dataset.plan);
+  });
+  document.querySelectorAll("[data-price]").forEach(el => {
+    const p = onSale.get(el.dataset.price);
+    if (!p || p.amount == null) return;
+    el.textContent = new Intl.NumberFormat(undefined, { style: "currency", currency: p.currency.toUpperCase() })
+      .format(p.amount / 100);
+  });
+}
+
+// Sessions bought earlier on this device: offer to start one instead of paying
+async function showBalance() {
+  let balance;
+  try {
+    const r = await fetch("/api/balance", { credentials: "include", cache: "no-store" });
+    balance = await r.json();
+  } catch {
+    return;
+  }
+  const row = document.querySelector(".cta-row");
+  if (!row || (!balance.active && !balance.credits && !balance.passUntil)) return;
+
+  const box = document.createElement("div");
+  box.className = "balance";
+  box.setAttribute("role", "status");
+  const text = document.createElement("span");
+  text.className = "tiny";
+  if (balance.passUntil) text.textContent = `Your pass runs until ${new Date(balance.passUntil).toLocaleDateString()}.`;
+  else if (balance.credits) text.textContent = `You have ${balance.credits} session${balance.credits === 1 ? "" : "s"} left.`;
+  else text.textContent = "Your current session is still running.";
+
+  const start = document.createElement("button");
+  start.textContent = balance.active ? "Open the detector" : "Start a session";
+  start.addEventListener("click", async () => {
+    if (balance.active) return location.assign("/api/app");
+    start.disabled = true;
+    try {
+      const r = await fetch("/api/start-session", { method: "POST", credentials: "include" });
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || "Could not start a session");
+      location.assign("/api/app");
+    } catch (e) {
+      alert(e.message);
+      start.disabled = false;
+    }
+  });
+  box.append(text, start);
+  row.after(box);
+}
+
+// Back from Stripe: swap the Checkout Session for an access token and open
+// the detector. The token is only issued once the payment is recorded as paid.
+async function redeemCheckout() {
+  const params = new URLSearchParams(location.search);
+  const sessionId = params.get("session_id");
+  if (params.get("success") !== "true" || !sessionId) return;
+
+  try {
+    const r = await fetch("/api/verify-session", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ session_id: sessionId })
+    });
+    const data = await r.json();
+    if (!r.ok || !data.token) {
+      alert(data.error || "Payment could not be verified");
+      return;
+    }
+    // verify-session also set the access cookie /api/app checks
+    location.replace("/api/app");
+  } catch (e) {
+    console.error(e);
+    alert("Payment could not be verified. Please reload this page.");
+  }
+}
+
+// Sent here by /api/app without valid access: say why, point at checkout
+const ACCESS_NOTES = {
+  missing: "Get a session to open the detector.",
+  unknown: "That access link isn't valid. Get a new session to open the detector.",
+  expired: "Your session time is over. Get a new session to keep listening.",
+  "used-up": "That access has been used up. Get a new session to keep listening.",
+  revoked: "Access was withdrawn (refunded payment or cancelled by support)."
+};
+
+function showAccessNote() {
+  const reason = new URLSearchParams(location.search).get("access");
+  const button = document.getElementById("checkout-button");
+  if (!reason || !button) return;
+  const note = document.createElement("p");
+  note.className = "tiny";
+  note.setAttribute("role", "status");
+  note.textContent = ACCESS_NOTES[reason] || ACCESS_NOTES.missing;
+  button.parentElement.insertBefore(note, button);
+  button.scrollIntoView({ behavior: "smooth", block: "center" });
+  button.focus();
+}
+
 // Wire up buttons on landing page
 window.addEventListener("DOMContentLoaded", () => {
+  redeemCheckout();
+  showAccessNote();
+  showPlans();
+  showBalance();
+
+  // data-checkout="<product>" picks the tier; without a value it's a single session
   const triggers = document.querySelectorAll("#checkout-button, [data-checkout]");
   triggers.forEach(el => el.addEventListener("click", (e) => {
     e.preventDefault();
-    window.startCheckout();
+    window.startCheckout(el.dataset.checkout || undefined);
   }));
 });
@@ -0,0 +1,78 @@
+// scripts/admin-users.js
+// Manages admin accounts in the store named by BABYBEAT_STORE (the same one
+// the API uses). Passwords are read from stdin, so they stay out of the shell
+// history; pipe one in or type it at the prompt.
+//   node scripts/admin-users.js list
+//   node scripts/admin-users.js add <username>
+//   node scripts/admin-users.js passwd <username>    also signs them out everywhere
+//   node scripts/admin-users.js remove <username>
+//   node scripts/admin-users.js logout <username>    revoke all their sessions
+import { createAdmin, setAdminPassword, deleteAdmin, listAdmins, revokeUserSessions, normalizeUsername } from "../api/_lib/admin.js";
+import { MIN_PASSWORD_LENGTH } from "../api/_lib/passwords.js";
+
+async function readPassword(prompt) {
+  const stdin = process.stdin;
+  if (!stdin.isTTY) {
+    let data = "";
+    for await (const chunk of stdin) data += chunk;
+    return data.split(/\r?\n/)[0];
+  }
+  // Typed at a terminal: read raw so nothing is echoed
+  process.stdout.write(prompt);
+  stdin.setRawMode(true);
+  stdin.setEncoding("utf8");
+  let value = "";
+  try {
+    for await (const chunk of stdin) {
+      for (const ch of chunk) {
+        if (ch === "\r" || ch === "\n") return value;
+        if (ch === "\u0003") throw new Error("Cancelled");
+        if (ch === "\u007f" || ch === "\b") value = value.slice(0, -1);
+        else value += ch;
+      }
+    }
+    return value;
+  } finally {
+    stdin.setRawMode(false);
+    stdin.pause();
+    process.stdout.write("\n");
+  }
+}
+
+async function main() {
+  const [cmd, name] = process.argv.slice(2);
+  const user = normalizeUsername(name);
+  if (cmd !== "list" && !user) throw new Error("Usage: admin-users.js list | add|passwd|remove|logout <username>");
+
+  switch (cmd) {
+    case "list": {
+      const admins = await listAdmins();
+      if (!admins.length) console.log("no admins yet");
+      for (const a of admins) console.log(`${a.id}\tcreated ${a.createdAt}\tpassword set ${a.passwordChangedAt}`);
+      break;
+    }
+    case "add":
+    case "passwd": {
+      const password = await readPassword(`Password for ${user} (min. ${MIN_PASSWORD_LENGTH} characters): `);
+      if (cmd === "add") await createAdmin(user, password);
+      else await setAdminPassword(user, password);
+      console.log(cmd === "add" ? `added ${user}` : `password changed for ${user}; their sessions were revoked`);
+      break;
+    }
+    case "remove":
+      if (!(await deleteAdmin(user))) throw new Error(`No admin "${user}"`);
+      console.log(`removed ${user}`);
+      break;
+    case "logout":
+      await revokeUserSessions(user);
+      console.log(`revoked all sessions of ${user}`);
+      break;
+    default:
+      throw new Error(`Unknown command "${cmd}"`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
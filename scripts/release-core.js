@@ -0,0 +1,39 @@
+// scripts/release-core.js
+// Freezes core/babybeat-core.js as core/releases/<version>.js and makes it the
+// version new signed URLs point to. Earlier releases stay in place so open
+// pages keep working; delete old files once nobody can still hold their URL.
+//   node scripts/release-core.js            release the working copy
+//   node scripts/release-core.js <version>  make an existing release current (rollback)
+// Run it from the repository root.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { RELEASES_DIR, WORKING_COPY, versionOf, loadRelease } from "../api/_lib/core-release.js";
+
+const manifestPath = path.join(RELEASES_DIR, "manifest.json");
+
+async function main() {
+  await fs.mkdir(RELEASES_DIR, { recursive: true });
+  let manifest = { current: null, releases: [] };
+  try { manifest = JSON.parse(await fs.readFile(manifestPath, "utf8")); } catch {}
+
+  let version = process.argv[2];
+  if (version) {
+    if (!(await loadRelease(version))) throw new Error(`No release ${version} in ${RELEASES_DIR}`);
+  } else {
+    const code = await fs.readFile(WORKING_COPY, "utf8");
+    version = versionOf(code);
+    await fs.writeFile(path.join(RELEASES_DIR, `${version}.js`), code);
+  }
+
+  if (!manifest.releases.some((r) => r.version === version)) {
+    manifest.releases.push({ version, releasedAt: new Date().toISOString() });
+  }
+  manifest.current = version;
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  console.log(`core ${version} is current (${manifest.releases.length} release(s) kept)`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
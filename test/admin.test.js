@@ -0,0 +1,119 @@
+// test/admin.test.js
+// Admin sign-in: sessions (rotation, logout), the per-IP and per-username
+// lockouts, and which client address the IP limit sees
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { freshStore, call, request, response, cookiesOf } from './server.js';
+import { createAdmin, getAdminSession, ADMIN_ROTATE_MS } from '../api/_lib/admin.js';
+import { checkLimit, recordFailure, clientIp } from '../api/_lib/rate-limit.js';
+import login from '../api/admin-login.js';
+import logout from '../api/admin-logout.js';
+import verifyAdmin from '../api/verify-admin.js';
+
+const PASSWORD = 'correct horse battery';
+
+beforeEach(async () => {
+  freshStore();
+  await createAdmin('alice', PASSWORD);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function signIn(password = PASSWORD, headers = {}, username = 'alice') {
+  return call(login, { headers, body: { username, password } });
+}
+
+async function sessionCookie() {
+  const res = await signIn();
+  assert.equal(res.statusCode, 200);
+  return `admin_session=${cookiesOf(res).admin_session}`;
+}
+
+function verify(cookie) {
+  return call(verifyAdmin, { method: 'GET', headers: { cookie } });
+}
+
+test('signing in opens a session the cookie proves', async () => {
+  const cookie = await sessionCookie();
+  const res = await verify(cookie);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.user, 'alice');
+  assert.equal((await verify('admin_session=forged')).statusCode, 401);
+});
+
+test('logout only answers POST and then revokes the session', async () => {
+  const cookie = await sessionCookie();
+  const get = await call(logout, { method: 'GET', headers: { cookie } });
+  assert.equal(get.statusCode, 405);
+  assert.equal(get.getHeader('Allow'), 'POST');
+  assert.equal((await verify(cookie)).statusCode, 200);
+
+  const post = await call(logout, { headers: { cookie } });
+  assert.equal(post.statusCode, 200);
+  assert.equal(cookiesOf(post).admin_session, '');
+  assert.equal((await verify(cookie)).statusCode, 401);
+});
+
+test('a session in use gets a fresh id every ADMIN_ROTATE_MS', async () => {
+  const cookie = await sessionCookie();
+  const now = Date.now();
+  mock.method(Date, 'now', () => now + ADMIN_ROTATE_MS + 1000);
+
+  const res = response();
+  const session = await getAdminSession(request({ headers: { cookie } }), res);
+  assert.equal(session.user, 'alice');
+  const fresh = `admin_session=${cookiesOf(res).admin_session}`;
+  assert.notEqual(fresh, cookie);
+  assert.equal((await getAdminSession(request({ headers: { cookie: fresh } }))).user, 'alice');
+
+  // The old id lasts for requests already in flight, then stops working
+  assert.ok(await getAdminSession(request({ headers: { cookie } })));
+  mock.method(Date, 'now', () => now + ADMIN_ROTATE_MS + 60 * 1000);
+  assert.equal(await getAdminSession(request({ headers: { cookie } })), null);
+});
+
+test('five wrong passwords lock the username, whatever the IP', async () => {
+  const codes = [];
+  for (let i = 0; i < 6; i++) codes.push((await signIn('wrong password!', { 'x-real-ip': `10.0.0.${i}` })).statusCode);
+  assert.deepEqual(codes, [401, 401, 401, 401, 401, 429]);
+
+  const locked = await signIn(PASSWORD, { 'x-real-ip': '10.9.9.9' });
+  assert.equal(locked.statusCode, 429);
+  assert.ok(Number(locked.getHeader('Retry-After')) > 0);
+});
+
+test('twenty failures lock the IP for every username', async () => {
+  const headers = { 'x-real-ip': '10.1.1.1' };
+  for (let i = 0; i < 20; i++) await signIn('wrong password!', headers, `user${i}`);
+  assert.equal((await signIn(PASSWORD, headers)).statusCode, 429);
+  assert.equal((await signIn(PASSWORD, { 'x-real-ip': '10.2.2.2' })).statusCode, 200);
+});
+
+test('a forged first X-Forwarded-For hop does not reset the IP limit', async () => {
+  for (let i = 0; i < 20; i++) {
+    await signIn('wrong password!', { 'x-forwarded-for': `203.0.113.${i}, 10.1.1.1` }, `user${i}`);
+  }
+  assert.equal((await signIn(PASSWORD, { 'x-forwarded-for': '198.51.100.7, 10.1.1.1' })).statusCode, 429);
+});
+
+test('clientIp trusts the proxy headers, not the client\'s first hop', () => {
+  const ip = headers => clientIp(request({ headers }));
+  assert.equal(ip({ 'x-vercel-forwarded-for': '1.1.1.1', 'x-real-ip': '2.2.2.2', 'x-forwarded-for': '3.3.3.3' }), '1.1.1.1');
+  assert.equal(ip({ 'x-real-ip': '2.2.2.2', 'x-forwarded-for': '3.3.3.3' }), '2.2.2.2');
+  assert.equal(ip({ 'x-forwarded-for': '6.6.6.6, 3.3.3.3' }), '3.3.3.3');
+  assert.equal(ip({}), '127.0.0.1');
+});
+
+test('failures outside the window drop out and the lock ends', async () => {
+  const limit = { max: 3, windowMs: 1000, lockMs: 5000 };
+  await recordFailure('k', limit, 0);
+  await recordFailure('k', limit, 100);
+  await recordFailure('k', limit, 2000);
+  assert.equal((await checkLimit('k', 2000)).locked, false);
+  await recordFailure('k', limit, 2100);
+  await recordFailure('k', limit, 2200);
+  assert.deepEqual(await checkLimit('k', 3200), { locked: true, retryAfterSec: 4 });
+  assert.equal((await checkLimit('k', 7200)).locked, false);
+});
@@ -0,0 +1,26 @@
+// test/analysis.test.js
+// Live analysis streams (/api/analyze): sequencing and throttling
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeChunk, endStream } from '../api/_lib/analysis.js';
+
+const chunk = seq => ({ seq, sampleRate: 8000, samples: new Float32Array(800) });
+
+test('chunks are applied in order and retries are acknowledged', () => {
+  assert.equal(analyzeChunk('order', chunk(0), 1000).ack, 0);
+  assert.equal(analyzeChunk('order', chunk(1), 1300).ack, 1);
+  assert.equal(analyzeChunk('order', chunk(1), 1600).duplicate, true);
+  assert.deepEqual(analyzeChunk('order', chunk(5), 1900), { status: 'restart', expected: 2 });
+  assert.deepEqual(analyzeChunk('unknown', chunk(3), 1900), { status: 'restart', expected: 0 });
+  endStream('order');
+});
+
+test('resending seq 0 does not dodge the throttle', () => {
+  assert.equal(analyzeChunk('flood', chunk(0), 1000).status, 'ok');
+  const again = analyzeChunk('flood', chunk(0), 1100);
+  assert.equal(again.status, 'busy');
+  assert.equal(again.retryAfterMs, 150);
+  assert.equal(analyzeChunk('flood', chunk(0), 1250).status, 'ok');
+  assert.equal(analyzeChunk('flood', chunk(1), 1300).status, 'busy');
+  endStream('flood');
+});
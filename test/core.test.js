@@ -0,0 +1,113 @@
+// test/core.test.js
+// Core delivery: HMAC-signed URLs from /api/core-url and how /api/core
+// serves them (expiry, tampering, access, ETag / 304)
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { freshStore, call } from './server.js';
+import { signUrl, verifyUrl } from '../api/_lib/signed-url.js';
+import { currentRelease } from '../api/_lib/core-release.js';
+import { issueComplimentary, consumeAccess, revokeEntitlement } from '../api/_lib/entitlements.js';
+import coreUrl from '../api/core-url.js';
+import core from '../api/core.js';
+
+process.env.CORE_SIGNING_SECRET = 'test-signing-secret';
+
+let token;
+
+beforeEach(async () => {
+  freshStore();
+  token = (await issueComplimentary({ uses: 2 }, 'admin:test')).id;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function queryOf(url) {
+  return Object.fromEntries(new URL(url, 'http://test').searchParams);
+}
+
+async function signedQuery() {
+  const res = await call(coreUrl, { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(res.statusCode, 200);
+  return { query: queryOf(res.body.url), body: res.body };
+}
+
+function fetchCore(query, headers = {}) {
+  return call(core, { method: 'GET', query, headers });
+}
+
+test('a signed URL verifies with its parameters', () => {
+  const { url, expiresAt } = signUrl('/api/core', { v: 'abc', sub: 'tok' }, 60);
+  const result = verifyUrl('/api/core', queryOf(url), ['v', 'sub']);
+  assert.deepEqual(result, { ok: true, params: { v: 'abc', sub: 'tok' } });
+  assert.ok(Math.abs(Date.parse(expiresAt) - Date.now() - 60000) < 1500);
+});
+
+test('changing any signed part breaks the signature', () => {
+  const query = queryOf(signUrl('/api/core', { v: 'abc', sub: 'tok' }, 60).url);
+  for (const change of [{ v: 'abd' }, { sub: 'other' }, { exp: String(Number(query.exp) + 3600) }, { sig: query.sig.replace(/^./, c => (c === 'A' ? 'B' : 'A')) }]) {
+    assert.equal(verifyUrl('/api/core', { ...query, ...change }, ['v', 'sub']).reason, 'signature', JSON.stringify(change));
+  }
+  assert.equal(verifyUrl('/api/other', query, ['v', 'sub']).reason, 'signature');
+  const { sig, ...unsigned } = query;
+  assert.equal(verifyUrl('/api/core', unsigned, ['v', 'sub']).reason, 'missing');
+  const { sub, ...partial } = query;
+  assert.equal(verifyUrl('/api/core', partial, ['v', 'sub']).reason, 'missing');
+});
+
+test('a signed URL stops working when it expires', () => {
+  const query = queryOf(signUrl('/api/core', { v: 'abc', sub: 'tok' }, 60).url);
+  const now = Date.now();
+  mock.method(Date, 'now', () => now + 59 * 1000);
+  assert.equal(verifyUrl('/api/core', query, ['v', 'sub']).ok, true);
+  mock.method(Date, 'now', () => now + 61 * 1000);
+  assert.equal(verifyUrl('/api/core', query, ['v', 'sub']).reason, 'expired');
+});
+
+test('/api/core serves the signed version with its ETag and integrity', async () => {
+  const { query, body } = await signedQuery();
+  const release = await currentRelease();
+  assert.equal(body.version, release.version);
+  assert.equal(body.integrity, release.integrity);
+
+  const res = await fetchCore(query);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body, release.code);
+  assert.equal(res.getHeader('ETag'), `"${release.version}"`);
+  assert.equal(res.getHeader('X-Core-Integrity'), release.integrity);
+  assert.match(res.getHeader('Cache-Control'), /^private, max-age=\d+, immutable$/);
+});
+
+test('a matching If-None-Match answers 304 without the code', async () => {
+  const { query, body } = await signedQuery();
+  for (const tag of [`"${body.version}"`, `W/"${body.version}"`, `"old", "${body.version}"`]) {
+    const res = await fetchCore(query, { 'if-none-match': tag });
+    assert.equal(res.statusCode, 304, tag);
+    assert.equal(res.body, undefined);
+  }
+  assert.equal((await fetchCore(query, { 'if-none-match': '"old"' })).statusCode, 200);
+});
+
+test('/api/core refuses tampered, expired and revoked URLs', async () => {
+  const { query } = await signedQuery();
+  assert.equal((await fetchCore({ ...query, sub: 'someone-else' })).statusCode, 403);
+  assert.equal((await fetchCore({ ...query, v: '0000000000000000' })).statusCode, 403);
+
+  const now = Date.now();
+  mock.method(Date, 'now', () => now + 10 * 60 * 1000);
+  const late = await fetchCore(query);
+  assert.equal(late.statusCode, 403);
+  assert.match(late.body, /expired/);
+  mock.restoreAll();
+
+  await revokeEntitlement(token, 'admin:test');
+  assert.equal((await fetchCore(query)).statusCode, 403);
+});
+
+test('the URL keeps working after the token\'s last use was spent on it', async () => {
+  await consumeAccess(token);
+  const { query } = await signedQuery();
+  assert.equal((await consumeAccess(token)).reason, 'used-up');
+  assert.equal((await fetchCore(query)).statusCode, 200);
+});
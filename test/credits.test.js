@@ -0,0 +1,124 @@
+// test/credits.test.js
+// Customer balances: lots from payments, drawing sessions from them, and the
+// bb_customer cookie that decides whose balance a request may use
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { freshStore, call, cookiesOf } from './server.js';
+import { recordCheckoutSession, applyPaymentEvent } from '../api/_lib/payments.js';
+import { drawSession, getCustomer, balanceOf, grantCredits } from '../api/_lib/credits.js';
+import verifySession from '../api/verify-session.js';
+import startSessionRoute from '../api/start-session.js';
+
+const ALICE = 'cust_alice';
+const BOB = 'cust_bob';
+
+beforeEach(() => {
+  freshStore();
+});
+
+function pay(id, product, customer = ALICE) {
+  return recordCheckoutSession({
+    id, payment_status: 'paid', amount_total: 100, currency: 'usd',
+    payment_intent: `pi_${id}`, client_reference_id: customer, metadata: { product }
+  }, 'test');
+}
+
+async function credits(customer = ALICE) {
+  return balanceOf(await getCustomer(customer)).credits;
+}
+
+test('a paid checkout adds its lot once', async () => {
+  const record = await pay('cs_1', 'bundle5');
+  await pay('cs_1', 'bundle5');
+  await grantCredits(record);
+  assert.equal(await credits(), 5);
+  assert.equal((await getCustomer(ALICE)).lots.length, 1);
+});
+
+test('sessions are drawn from the oldest lot first, then the next', async () => {
+  await pay('cs_old', 'single');
+  await pay('cs_new', 'bundle5');
+  assert.equal(await credits(), 6);
+
+  const first = await drawSession(ALICE, 't1');
+  assert.equal(first.payment, 'cs_old');
+  const second = await drawSession(ALICE, 't2');
+  assert.equal(second.payment, 'cs_new');
+  for (let i = 3; i <= 6; i++) assert.equal((await drawSession(ALICE, `t${i}`)).ok, true);
+
+  assert.equal(await credits(), 0);
+  assert.deepEqual(await drawSession(ALICE, 't7'), { ok: false, reason: 'no-credits' });
+  assert.deepEqual(await drawSession('cust_nobody', 't8'), { ok: false, reason: 'no-credits' });
+});
+
+test('a payment\'s own draw happens once and repeats return its token', async () => {
+  await pay('cs_1', 'bundle5');
+  const draw = await drawSession(ALICE, 'tok_a', { payment: 'cs_1' });
+  assert.equal(draw.token, 'tok_a');
+  const repeat = await drawSession(ALICE, 'tok_b', { payment: 'cs_1' });
+  assert.equal(repeat.token, 'tok_a');
+  assert.equal(repeat.repeat, true);
+  assert.equal(await credits(), 4);
+});
+
+test('an active pass is drawn from before credits and costs nothing', async () => {
+  await pay('cs_credits', 'bundle5');
+  await pay('cs_pass', 'pass30');
+  const draw = await drawSession(ALICE, 't1');
+  assert.equal(draw.payment, 'cs_pass');
+  assert.equal(await credits(), 5);
+  assert.ok(balanceOf(await getCustomer(ALICE)).passUntil);
+});
+
+test('a full refund takes only that payment\'s lot', async () => {
+  await pay('cs_keep', 'single');
+  await pay('cs_back', 'bundle5');
+  await applyPaymentEvent({
+    id: 'evt_refund', type: 'charge.refunded',
+    data: { object: { payment_intent: 'pi_cs_back', amount_refunded: 100, refunded: true } }
+  });
+  assert.equal(await credits(), 1);
+  assert.equal((await drawSession(ALICE, 't1')).payment, 'cs_keep');
+  assert.equal((await drawSession(ALICE, 't2')).ok, false);
+});
+
+test('verify-session refuses a cookie for a different customer and sets none', async () => {
+  await pay('cs_1', 'bundle5');
+  for (const cookie of [`bb_customer=${BOB}`, undefined]) {
+    const res = await call(verifySession, { headers: cookie ? { cookie } : {}, body: { session_id: 'cs_1' } });
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.reason, 'wrong-customer');
+    assert.equal(res.body.token, undefined);
+    assert.deepEqual(cookiesOf(res), {});
+  }
+  assert.equal(await credits(), 5);
+
+  const res = await call(verifySession, { headers: { cookie: `bb_customer=${ALICE}` }, body: { session_id: 'cs_1' } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(Object.keys(cookiesOf(res)), ['bb_access']);
+  assert.equal(res.body.balance.credits, 4);
+});
+
+test('start-session only spends the cookie\'s own balance', async () => {
+  await pay('cs_1', 'bundle5');
+  const alice = await call(startSessionRoute, { headers: { cookie: `bb_customer=${ALICE}` } });
+  assert.equal(alice.statusCode, 200);
+
+  // Alice's token under Bob's customer cookie: not reused, and Bob has nothing
+  const bob = await call(startSessionRoute, { headers: { cookie: `bb_customer=${BOB}; bb_access=${alice.body.token}` } });
+  assert.equal(bob.statusCode, 403);
+  assert.equal(bob.body.reason, 'no-credits');
+
+  // Alice again with her live token: kept, nothing spent
+  const again = await call(startSessionRoute, { headers: { cookie: `bb_customer=${ALICE}; bb_access=${alice.body.token}` } });
+  assert.equal(again.body.token, alice.body.token);
+  assert.equal(await credits(), 4);
+});
+
+test('a payment from before customers existed is its own balance', async () => {
+  await recordCheckoutSession({ id: 'cs_legacy', payment_status: 'paid', amount_total: 190, currency: 'usd', payment_intent: 'pi_l' }, 'test');
+  const res = await call(verifySession, { body: { session_id: 'cs_legacy' } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.balance.credits, 0);
+  assert.deepEqual(Object.keys(cookiesOf(res)), ['bb_access']);
+});
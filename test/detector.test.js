@@ -0,0 +1,98 @@
+// test/detector.test.js
+// DOM-free detector on synthetic heartbeats and noise (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BeatDetector, analyzeSamples, estimateDualTempo, estimateTempo, classifyBpm, FILE_FRAME, ENVELOPE_RATE
+} from '../public/babybeat-detector.js';
+import { heartbeat, noise, mix, pulseEnvelope } from './signals.js';
+
+const SR = 48000;
+
+// BPM shown at the end of a file analysis (0 when the quality gate is closed)
+function finalBpm(result, key = 'bpm') {
+  return result.series[result.series.length - 1][key];
+}
+
+test('peak mode finds a clean heartbeat', () => {
+  const det = new BeatDetector({ sampleRate: SR, mode: 'peak' });
+  const x = heartbeat(SR, 12, 120);
+  let res;
+  for (let i = 0; i + FILE_FRAME <= x.length; i += FILE_FRAME) {
+    res = det.process(x.subarray(i, i + FILE_FRAME), ((i + FILE_FRAME) / SR) * 1000);
+  }
+  assert.ok(Math.abs(det.bpm - 120) < 3, `bpm ${det.bpm}`);
+  assert.equal(res.classification, 'fetal');
+  assert.ok(res.quality.ok);
+});
+
+for (const mode of ['tempo', 'dual']) {
+  test(`${mode} mode reads a noisy fetal heartbeat`, () => {
+    const x = mix(heartbeat(SR, 15, 140), noise(SR, 15, 0.05));
+    const r = analyzeSamples(x, SR, { mode });
+    const bpm = finalBpm(r);
+    assert.ok(Math.abs(bpm - 140) <= 3, `bpm ${bpm}`);
+    assert.equal(classifyBpm(bpm), 'fetal');
+  });
+}
+
+test('analyzeSamples reports beats and a one-second series', () => {
+  const r = analyzeSamples(heartbeat(SR, 10, 90), SR, { mode: 'peak' });
+  assert.equal(r.series.length, 10);
+  assert.ok(r.beats.length >= 12 && r.beats.length <= 16, `${r.beats.length} beats`);
+  assert.ok(Math.abs(finalBpm(r) - 90) <= 3);
+});
+
+for (const mode of ['peak', 'tempo', 'dual']) {
+  test(`${mode} mode shows no BPM for noise`, () => {
+    const r = analyzeSamples(noise(SR, 15, 0.3, 7), SR, { mode });
+    assert.ok(r.series.every(p => p.bpm === 0), JSON.stringify(r.series.filter(p => p.bpm)));
+  });
+}
+
+// The frame and the smoothing follow the sample rate: at 8 kHz, 1024-sample
+// frames made noise look like a steady 156 BPM in peak mode
+for (const rate of [8000, 16000, 44100]) {
+  test(`noise shows no BPM and a heartbeat is read at ${rate} Hz`, () => {
+    for (const mode of ['peak', 'tempo', 'dual']) {
+      for (const amp of [0.2, 0.5]) {
+        const r = analyzeSamples(noise(rate, 15, amp, 3), rate, { mode });
+        assert.ok(r.series.every(p => p.bpm === 0), `${mode} ${amp}: ${JSON.stringify(r.series.filter(p => p.bpm))}`);
+      }
+      const hb = analyzeSamples(mix(heartbeat(rate, 15, 140), noise(rate, 15, 0.05)), rate, { mode });
+      assert.ok(Math.abs(finalBpm(hb) - 140) <= 3, `${mode}: bpm ${finalBpm(hb)}`);
+    }
+  });
+}
+
+test('estimateTempo finds the period of a pulse train', () => {
+  const est = estimateTempo(pulseEnvelope(ENVELOPE_RATE, 6, 150), ENVELOPE_RATE, 50, 220);
+  assert.ok(Math.abs(est.bpm - 150) < 3, `bpm ${est.bpm}`);
+  assert.ok(est.confidence > 0.5);
+});
+
+test('estimateDualTempo separates a fetal and a maternal rhythm', () => {
+  const env = mix(pulseEnvelope(ENVELOPE_RATE, 6, 140), pulseEnvelope(ENVELOPE_RATE, 6, 75, 0.8));
+  const est = estimateDualTempo(env, ENVELOPE_RATE);
+  assert.ok(Math.abs(est.fetal.bpm - 140) < 4, `fetal ${est.fetal.bpm}`);
+  assert.ok(Math.abs(est.maternal.bpm - 75) < 4, `maternal ${est.maternal.bpm}`);
+});
+
+// The comb left the primary's subharmonics behind, read as a maternal rate
+for (const bpm of [130, 140, 165]) {
+  test(`dual mode reports no maternal rate for a fetal-only heartbeat at ${bpm}`, () => {
+    const x = mix(heartbeat(SR, 15, bpm), noise(SR, 15, 0.02));
+    const r = analyzeSamples(x, SR, { mode: 'dual' });
+    assert.ok(Math.abs(finalBpm(r, 'fetal') - bpm) <= 3, `fetal ${finalBpm(r, 'fetal')}`);
+    assert.ok(r.series.every(p => !p.maternal), `maternal ${r.series.map(p => p.maternal)}`);
+
+    const est = estimateDualTempo(pulseEnvelope(ENVELOPE_RATE, 6, bpm), ENVELOPE_RATE);
+    assert.equal(est.maternal.bpm, 0);
+  });
+}
+
+test('dual mode reports no fetal rate for a maternal-only heartbeat', () => {
+  const r = analyzeSamples(mix(heartbeat(SR, 15, 75), noise(SR, 15, 0.02)), SR, { mode: 'dual' });
+  assert.ok(Math.abs(finalBpm(r, 'maternal') - 75) <= 3);
+  assert.ok(r.series.every(p => !p.fetal), `fetal ${r.series.map(p => p.fetal)}`);
+});
@@ -0,0 +1,120 @@
+// test/entitlements.test.js
+// Access tokens: issuing, spending uses, expiry and the "used-up" state that
+// /api/core and /api/analyze still accept
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { freshStore, call } from './server.js';
+import { recordCheckoutSession } from '../api/_lib/payments.js';
+import {
+  issueForPayment, startSession, checkAccess, consumeAccess, describeEntitlement,
+  revokeEntitlement, extendEntitlement, ACCESS_TTL_MS, ACCESS_MAX_USES
+} from '../api/_lib/entitlements.js';
+import coreUrl from '../api/core-url.js';
+import analyze from '../api/analyze.js';
+
+process.env.CORE_SIGNING_SECRET = 'test-signing-secret';
+
+let payment;
+
+beforeEach(async () => {
+  freshStore();
+  payment = await recordCheckoutSession({
+    id: 'cs_ent', payment_status: 'paid', amount_total: 790, currency: 'usd',
+    payment_intent: 'pi_ent', client_reference_id: 'cust_ent', metadata: { product: 'bundle5' }
+  }, 'test');
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Date.now() moved forward by ms from here on
+function advance(ms) {
+  const now = Date.now();
+  mock.method(Date, 'now', () => now + ms);
+}
+
+function chunk(token, seq = 0) {
+  const pcm16 = Buffer.alloc(1600).toString('base64');
+  return call(analyze, { headers: { authorization: `Bearer ${token}` }, body: { v: 1, session: 's1', seq, sampleRate: 8000, pcm16 } });
+}
+
+test('a payment issues one token with the configured time and uses', async () => {
+  const ent = await issueForPayment(payment);
+  const info = describeEntitlement(ent);
+  assert.equal(info.maxUses, ACCESS_MAX_USES);
+  assert.equal(info.usesLeft, ACCESS_MAX_USES);
+  assert.ok(Math.abs(info.remainingMs - ACCESS_TTL_MS) < 1000);
+  assert.equal(ent.payment, 'cs_ent');
+  assert.equal(ent.customer, 'cust_ent');
+
+  const again = await issueForPayment(payment);
+  assert.equal(again.id, ent.id);
+  assert.equal((await checkAccess(ent.id)).ok, true);
+});
+
+test('each core URL spends one use until the token is used up', async () => {
+  const ent = await issueForPayment(payment);
+  for (let i = 1; i <= ACCESS_MAX_USES; i++) {
+    const res = await call(coreUrl, { headers: { authorization: `Bearer ${ent.id}` } });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body.url, /^\/api\/core\?/);
+  }
+  const spent = await consumeAccess(ent.id);
+  assert.equal(spent.ok, false);
+  assert.equal(spent.reason, 'used-up');
+  assert.equal(spent.entitlement.uses, ACCESS_MAX_USES);
+
+  const res = await call(coreUrl, { headers: { authorization: `Bearer ${ent.id}` } });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.reason, 'used-up');
+});
+
+test('a used-up token keeps its open session: /api/analyze still answers', async () => {
+  const ent = await issueForPayment(payment);
+  for (let i = 0; i < ACCESS_MAX_USES; i++) await consumeAccess(ent.id);
+  assert.equal((await checkAccess(ent.id)).reason, 'used-up');
+  assert.equal((await chunk(ent.id)).statusCode, 200);
+});
+
+test('a token expires after its time, whatever uses are left', async () => {
+  const ent = await issueForPayment(payment);
+  advance(ACCESS_TTL_MS - 1000);
+  assert.equal((await checkAccess(ent.id)).ok, true);
+  mock.restoreAll();
+
+  advance(ACCESS_TTL_MS + 1000);
+  assert.equal((await checkAccess(ent.id)).reason, 'expired');
+  assert.equal((await consumeAccess(ent.id)).reason, 'expired');
+  const res = await chunk(ent.id);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.reason, 'expired');
+});
+
+test('unknown, missing and revoked tokens are refused', async () => {
+  assert.equal((await checkAccess('nope')).reason, 'unknown');
+  assert.equal((await checkAccess('')).reason, 'missing');
+  assert.equal((await chunk('nope')).statusCode, 403);
+
+  const ent = await issueForPayment(payment);
+  await revokeEntitlement(ent.id, 'admin:test');
+  assert.equal((await consumeAccess(ent.id)).reason, 'revoked');
+  assert.equal((await chunk(ent.id)).statusCode, 403);
+});
+
+test('extending a used-up token gives it more uses', async () => {
+  const ent = await issueForPayment(payment);
+  for (let i = 0; i < ACCESS_MAX_USES; i++) await consumeAccess(ent.id);
+  await extendEntitlement(ent.id, { uses: 2 }, 'admin:test');
+  assert.equal((await consumeAccess(ent.id)).ok, true);
+  assert.equal((await consumeAccess(ent.id)).ok, true);
+  assert.equal((await consumeAccess(ent.id)).reason, 'used-up');
+});
+
+test('later sessions mint fresh tokens from the balance', async () => {
+  const first = await issueForPayment(payment);
+  const next = await startSession('cust_ent');
+  assert.equal(next.ok, true);
+  assert.notEqual(next.entitlement.id, first.id);
+  assert.equal(describeEntitlement(next.entitlement).usesLeft, ACCESS_MAX_USES);
+});
@@ -0,0 +1,187 @@
+// test/payments.test.js
+// Payment records from webhooks and verify-session, with the fake provider
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { freshStore, call, cookiesOf } from './server.js';
+import fake, { signPayload, payCheckout } from '../api/_lib/fake-provider.js';
+import { getPayment, recordCheckoutSession, revenueByDay, applyPaymentEvent } from '../api/_lib/payments.js';
+import { getProduct } from '../api/_lib/products.js';
+import { getCustomer, balanceOf } from '../api/_lib/credits.js';
+import { checkAccess } from '../api/_lib/entitlements.js';
+import webhook from '../api/payment-webhook.js';
+import verifySession from '../api/verify-session.js';
+
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.BABYBEAT_ALLOW_FAKE_PAYMENTS = '1';
+process.env.FAKE_WEBHOOK_SECRET = 'test-secret';
+// Nothing listens there: the fake checkout's own deliveries fail, as a late webhook would
+process.env.FAKE_WEBHOOK_URL = 'http://127.0.0.1:9/api/payment-webhook';
+
+const CUSTOMER = 'cust_test';
+let eventSeq = 0;
+
+beforeEach(() => {
+  freshStore();
+});
+
+async function openCheckout(product = 'bundle5') {
+  const { id } = await fake.createCheckout({ product: getProduct(product), customer: CUSTOMER, origin: 'http://test' });
+  return id;
+}
+
+// A paid checkout whose webhook hasn't arrived
+async function paidCheckout(product) {
+  const id = await openCheckout(product);
+  await payCheckout(id, { email: 'buyer@example.com' });
+  return fake.getCheckout(id);
+}
+
+function event(type, object, id = `evt_${++eventSeq}`) {
+  return { id, object: 'event', type, created: Math.floor(Date.now() / 1000), data: { object } };
+}
+
+function deliver(evt, signature) {
+  const body = JSON.stringify(evt);
+  return call(webhook, {
+    headers: { 'fake-signature': signature || signPayload(body) },
+    rawBody: Buffer.from(body)
+  });
+}
+
+function verify(sessionId, customer = CUSTOMER) {
+  return call(verifySession, {
+    headers: customer ? { cookie: `bb_customer=${customer}` } : {},
+    body: { session_id: sessionId }
+  });
+}
+
+test('a replayed webhook event is acknowledged without crediting twice', async () => {
+  const checkout = await paidCheckout();
+  const completed = event('checkout.session.completed', checkout);
+
+  const first = await deliver(completed);
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.status, 'paid');
+  const again = await deliver(completed);
+  assert.equal(again.statusCode, 200);
+  assert.equal(again.body.duplicate, true);
+
+  // A different event for the same checkout changes nothing either
+  await deliver(event('checkout.session.completed', checkout));
+  assert.equal(balanceOf(await getCustomer(CUSTOMER)).credits, 5);
+});
+
+test('a webhook with a bad signature is refused', async () => {
+  const checkout = await paidCheckout();
+  const res = await deliver(event('checkout.session.completed', checkout), `t=${Math.floor(Date.now() / 1000)},v1=00`);
+  assert.equal(res.statusCode, 400);
+  assert.equal(await getPayment(checkout.id), null);
+});
+
+test('verify-session refreshes a pending record from the provider', async () => {
+  const id = await openCheckout();
+  await recordCheckoutSession(await fake.getCheckout(id), 'test');
+  assert.equal((await getPayment(id)).status, 'pending');
+
+  const early = await verify(id);
+  assert.equal(early.statusCode, 403);
+  assert.equal(early.body.status, 'pending');
+
+  await payCheckout(id, {});
+  const res = await verify(id);
+  assert.equal(res.statusCode, 200);
+  assert.equal((await getPayment(id)).status, 'paid');
+  assert.equal(cookiesOf(res).bb_access, res.body.token);
+  assert.deepEqual(res.body.balance, { credits: 4, passUntil: null });
+
+  // Asking again returns the same token without drawing another session
+  const repeat = await verify(id);
+  assert.equal(repeat.body.token, res.body.token);
+  assert.equal(repeat.body.balance.credits, 4);
+});
+
+test('verify-session refuses unknown and expired checkouts', async () => {
+  assert.equal((await verify('cs_nope')).statusCode, 400);
+  assert.equal((await call(verifySession, { body: {} })).statusCode, 400);
+
+  const id = await openCheckout();
+  await deliver(event('checkout.session.expired', { ...(await fake.getCheckout(id)), status: 'expired' }));
+  const res = await verify(id);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.status, 'expired');
+});
+
+test('a full refund revokes the balance and the tokens it paid for', async () => {
+  const checkout = await paidCheckout();
+  await deliver(event('checkout.session.completed', checkout));
+  const { body } = await verify(checkout.id);
+  assert.equal((await checkAccess(body.token)).ok, true);
+
+  const charge = { object: 'charge', payment_intent: checkout.payment_intent, amount_refunded: checkout.amount_total, refunded: true };
+  const res = await deliver(event('charge.refunded', charge));
+  assert.equal(res.body.status, 'refunded');
+  assert.equal((await getPayment(checkout.id)).status, 'refunded');
+  assert.equal(balanceOf(await getCustomer(CUSTOMER)).credits, 0);
+  assert.equal((await checkAccess(body.token)).reason, 'revoked');
+
+  // A late "completed" doesn't undo the refund
+  await deliver(event('checkout.session.completed', checkout));
+  assert.equal((await getPayment(checkout.id)).status, 'refunded');
+  assert.equal((await verify(checkout.id)).statusCode, 403);
+});
+
+test('a refund delivered before its checkout still applies', async () => {
+  const checkout = await paidCheckout('single');
+  const charge = { object: 'charge', payment_intent: checkout.payment_intent, amount_refunded: checkout.amount_total, refunded: true };
+  await deliver(event('charge.refunded', charge));
+  await deliver(event('checkout.session.completed', checkout));
+  assert.equal((await getPayment(checkout.id)).status, 'refunded');
+  assert.equal(balanceOf(await getCustomer(CUSTOMER)).credits, 0);
+});
+
+test('a partial refund keeps access', async () => {
+  const checkout = await paidCheckout('single');
+  await deliver(event('checkout.session.completed', checkout));
+  await deliver(event('charge.refunded', { object: 'charge', payment_intent: checkout.payment_intent, amount_refunded: 50, refunded: false }));
+  const record = await getPayment(checkout.id);
+  assert.equal(record.status, 'paid');
+  assert.equal(record.amountRefunded, 50);
+  assert.equal((await verify(checkout.id)).statusCode, 200);
+});
+
+// Unix seconds for a UTC date-time
+const at = iso => Date.parse(iso) / 1000;
+
+test('revenue is bucketed by the provider\'s payment time, not by when we recorded it', async () => {
+  const session = {
+    id: 'cs_late', status: 'complete', payment_status: 'paid', amount_total: 790, currency: 'usd',
+    payment_intent: 'pi_late', client_reference_id: CUSTOMER, metadata: { product: 'bundle5' },
+    created: at('2026-03-01T23:40:00Z')
+  };
+  // verify-session first: the checkout's creation time stands in…
+  await recordCheckoutSession(session, 'verify-session');
+  assert.equal((await getPayment('cs_late')).paidAt, '2026-03-01T23:40:00.000Z');
+
+  // …until the completed event brings the payment time
+  await applyPaymentEvent({ ...event('checkout.session.completed', session), created: at('2026-03-02T00:05:00Z') });
+  await applyPaymentEvent({ ...event('checkout.session.completed', session), created: at('2026-03-02T09:00:00Z') });
+  const record = await getPayment('cs_late');
+  assert.equal(record.paidAt, '2026-03-02T00:05:00.000Z');
+
+  const [row] = revenueByDay([record]);
+  assert.equal(row.day, '2026-03-02');
+  assert.equal(row.gross, 790);
+});
+
+test('revenue counts refunds against the payment day', () => {
+  const rows = revenueByDay([
+    { status: 'paid', amount: 190, currency: 'usd', paidAt: '2026-03-02T10:00:00Z', createdAt: '2026-03-05T10:00:00Z' },
+    { status: 'refunded', amount: 790, amountRefunded: 790, currency: 'usd', paidAt: '2026-03-02T11:00:00Z', createdAt: '2026-03-02T11:00:00Z' },
+    { status: 'paid', amount: 1490, currency: 'usd', createdAt: '2026-03-01T08:00:00Z' },
+    { status: 'pending', amount: 190, currency: 'usd', createdAt: '2026-03-02T12:00:00Z' }
+  ]);
+  assert.deepEqual(rows, [
+    { day: '2026-03-02', currency: 'usd', count: 2, gross: 980, refunded: 790, net: 190 },
+    { day: '2026-03-01', currency: 'usd', count: 1, gross: 1490, refunded: 0, net: 1490 }
+  ]);
+});
@@ -0,0 +1,22 @@
+// test/report.test.js
+// Session report: time in each BPM band agrees with the live classification
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rangeOf, timeInRange } from '../public/babybeat-report.js';
+import { classifyBpm, FETAL_MAX, MATERNAL_MIN } from '../public/babybeat-detector.js';
+
+test('rangeOf rounds like classifyBpm at the band edges', () => {
+  for (let bpm = 40; bpm <= 200; bpm += 0.1) {
+    assert.equal(rangeOf(bpm), classifyBpm(bpm), `bpm ${bpm}`);
+  }
+  assert.equal(rangeOf(FETAL_MAX + 0.4), 'fetal');
+  assert.equal(rangeOf(FETAL_MAX + 0.6), 'other');
+  assert.equal(rangeOf(MATERNAL_MIN - 0.4), 'maternal');
+  assert.equal(rangeOf(0), 'none');
+});
+
+test('timeInRange counts each point until the next', () => {
+  const series = [{ t: 0, bpm: 140 }, { t: 1000, bpm: 160.3 }, { t: 2000, bpm: 75 }, { t: 3000, bpm: 0 }];
+  const ranges = Object.fromEntries(timeInRange(series, 4000).map(r => [r.id, r.sec]));
+  assert.deepEqual(ranges, { fetal: 2, maternal: 1, other: 0, none: 1 });
+});
@@ -0,0 +1,41 @@
+// test/server.js
+// Helpers for the API tests: a fresh in-memory store per test and stand-ins
+// for Vercel's request and response objects
+import { setStore, MemoryStore } from '../api/_lib/store.js';
+
+export function freshStore() {
+  const store = new MemoryStore();
+  setStore(store);
+  return store;
+}
+
+// Only what the routes read: method, headers (lower-case), query, body or rawBody
+export function request({ method = 'POST', headers = {}, query = {}, body, rawBody } = {}) {
+  return { method, headers, query, body, rawBody, socket: { remoteAddress: '127.0.0.1' } };
+}
+
+export function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+    end(body) { if (body !== undefined) this.body = body; return this; }
+  };
+}
+
+export async function call(handler, req) {
+  const res = response();
+  await handler(request(req), res);
+  return res;
+}
+
+// Set-Cookie values as { name: value }
+export function cookiesOf(res) {
+  const list = [].concat(res.getHeader('Set-Cookie') || []);
+  return Object.fromEntries(list.map(c => c.split(';')[0].split('=')));
+}
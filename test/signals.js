@@ -0,0 +1,50 @@
+// test/signals.js
+// Synthetic inputs for the detector tests: lub-dub heartbeats, noise and
+// their mix. Seeded, so every run sees the same samples.
+
+export function rng(seed = 1) {
+  let s = seed;
+  return () => (s = (s * 16807) % 2147483647) / 2147483647;
+}
+
+// One S1 ("lub") and a softer S2 ("dub") per beat at bpm, amplitude amp
+export function heartbeat(sampleRate, seconds, bpm, amp = 0.5) {
+  const out = new Float32Array(Math.round(sampleRate * seconds));
+  const period = 60 / bpm;
+  for (let i = 0; i < out.length; i++) {
+    const t = (i / sampleRate) % period;
+    let a = 0;
+    if (t < 0.08) a = Math.sin(t * 80 * Math.PI) * Math.exp(-t * 30);
+    else if (t > 0.12 && t < 0.2) a = Math.sin((t - 0.12) * 120 * Math.PI) * Math.exp(-(t - 0.12) * 40) * 0.7;
+    out[i] = a * amp;
+  }
+  return out;
+}
+
+// Uniform noise in [-amp, amp]
+export function noise(sampleRate, seconds, amp, seed = 1) {
+  const rand = rng(seed);
+  const out = new Float32Array(Math.round(sampleRate * seconds));
+  for (let i = 0; i < out.length; i++) out[i] = (rand() * 2 - 1) * amp;
+  return out;
+}
+
+export function mix(...signals) {
+  const out = new Float32Array(Math.max(...signals.map(s => s.length)));
+  for (const s of signals) for (let i = 0; i < s.length; i++) out[i] += s[i];
+  return out;
+}
+
+// Envelope-rate pulse train (one short bump per beat), as the tempo estimators see it
+export function pulseEnvelope(rate, seconds, bpm, amp = 1) {
+  const out = new Float32Array(Math.round(rate * seconds));
+  const period = (60 / bpm) * rate;
+  for (let n = 0; n * period < out.length; n++) {
+    const at = n * period;
+    for (let k = 0; k < 4; k++) {
+      const i = Math.round(at) + k;
+      if (i < out.length) out[i] += amp * (1 - k / 4);
+    }
+  }
+  return out;
+}